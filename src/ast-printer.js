@@ -3,20 +3,37 @@
  *   Assign,
  *   Binary,
  *   Call,
+ *   CompoundAssign,
+ *   DestructuringAssign,
  *   Expr,
  *   ExprVisitor,
+ *   FunctionExpr,
  *   GetExpr,
+ *   IndexGetExpr,
+ *   IndexSetExpr,
+ *   Interpolation,
+ *   ListExpr,
  *   Grouping,
  *   Literal,
  *   Logical,
+ *   MapExpr,
+ *   OptionalChain,
  *   SetExpr,
+ *   Super,
  *   Ternary,
  *   This,
  *   Unary,
+ *   Update,
  *   Variable,
  * } from './expression.js'
+ * @import {
+ *   DestructuringElement,
+ *   DestructuringPattern,
+ * } from './destructuring.js'
  */
 
+import { isDestructuringPattern, ListDestructuring } from "./destructuring.js";
+
 /**
  * @implements {ExprVisitor<void>}
  */
@@ -53,12 +70,67 @@ export class AstPrinter {
     return `(call ${this.print(expr.callee)}${expr.args.map((arg) => ` ${this.print(arg)}`).join("")})`;
   }
 
+  /**
+   * @param {CompoundAssign} expr
+   * @returns {string}
+   */
+  visitCompoundAssign(expr) {
+    return `(${expr.operator.lexeme} ${this.print(expr.target)} ${this.print(expr.value)})`;
+  }
+
+  /**
+   * @param {DestructuringAssign} expr
+   * @returns {string}
+   */
+  visitDestructuringAssign(expr) {
+    return `(set ${this.#printPattern(expr.pattern)} ${this.print(expr.value)})`;
+  }
+
+  /**
+   * @param {DestructuringPattern} pattern
+   * @returns {string}
+   */
+  #printPattern(pattern) {
+    /** @param {DestructuringElement} element */
+    const printElement = ({ target, defaultValue }) => {
+      const printed = isDestructuringPattern(target)
+        ? this.#printPattern(target)
+        : this.print(target);
+      return defaultValue
+        ? `(= ${printed} ${this.print(defaultValue)})`
+        : printed;
+    };
+
+    if (pattern instanceof ListDestructuring) {
+      return `[${pattern.elements.map(printElement).join(" ")}]`;
+    }
+    const fields = pattern.fields.map(
+      ([field, element]) => `${field.lexeme}: ${printElement(element)}`,
+    );
+    return `{${fields.join(" ")}}`;
+  }
+
+  /**
+   * @param {FunctionExpr} expr
+   * @returns {string}
+   */
+  visitFunctionExpr(expr) {
+    const params = expr.params.map((param) =>
+      param.defaultValue
+        ? ` (= ${param.name.lexeme} ${this.print(param.defaultValue)})`
+        : ` ${param.name.lexeme}`,
+    );
+    const rest = expr.rest ? ` ...${expr.rest.lexeme}` : "";
+    return `(fun${params.join("")}${rest})`;
+  }
+
   /**
    * @param {GetExpr} expr
    * @returns {string}
    */
   visitGetExpr(expr) {
-    return `(get ${this.print(expr.object)}.${expr.name.lexeme})`;
+    const accessor = expr.optional ? "?." : ".";
+    return `(get ${this.print(expr.object)}${accessor}${expr.name.lexeme})`;
   }
 
   /**
@@ -69,6 +141,39 @@ export class AstPrinter {
     return `(group ${this.print(expr.expression)})`;
   }
 
+  /**
+   * @param {IndexGetExpr} expr
+   * @returns {string}
+   */
+  visitIndexGetExpr(expr) {
+    const operator = expr.optional ? "index?" : "index";
+    return `(${operator} ${this.print(expr.object)} ${this.print(expr.index)})`;
+  }
+
+  /**
+   * @param {IndexSetExpr} expr
+   * @returns {string}
+   */
+  visitIndexSetExpr(expr) {
+    return `(set-index ${this.print(expr.object)} ${this.print(expr.index)} ${this.print(expr.value)})`;
+  }
+
+  /**
+   * @param {Interpolation} expr
+   * @returns {string}
+   */
+  visitInterpolation(expr) {
+    return `(interpolate${expr.parts.map((part) => ` ${this.print(part)}`).join("")})`;
+  }
+
+  /**
+   * @param {ListExpr} expr
+   * @returns {string}
+   */
+  visitListExpr(expr) {
+    return `(list${expr.elements.map((element) => ` ${this.print(element)}`).join("")})`;
+  }
+
   /**
    * @param {Literal} expr
    * @returns {string}
@@ -78,7 +183,9 @@ export class AstPrinter {
       ? "nil"
       : typeof expr.value === "string"
         ? `"${expr.value}"`
-        : String(expr.value);
+        : typeof expr.value === "bigint"
+          ? `${expr.value}n`
+          : String(expr.value);
   }
 
   /**
@@ -89,6 +196,22 @@ export class AstPrinter {
     return `(${expr.operator.lexeme} ${this.print(expr.left)} ${this.print(expr.right)})`;
   }
 
+  /**
+   * @param {MapExpr} expr
+   * @returns {string}
+   */
+  visitMapExpr(expr) {
+    return `(map${expr.entries.map(([key, value]) => ` (${this.print(key)} ${this.print(value)})`).join("")})`;
+  }
+
+  /**
+   * @param {OptionalChain} expr
+   * @returns {string}
+   */
+  visitOptionalChain(expr) {
+    return `(optional-chain ${this.print(expr.expression)})`;
+  }
+
   /**
    * @param {SetExpr} expr
    * @returns {string}
@@ -97,6 +220,14 @@ export class AstPrinter {
     return `(set ${this.print(expr.object)}.${expr.name.lexeme} ${this.print(expr.value)})`;
   }
 
+  /**
+   * @param {Super} expr
+   * @returns {string}
+   */
+  visitSuper(expr) {
+    return `(super ${expr.method.lexeme})`;
+  }
+
   /**
    * @param {Unary} expr
    * @returns {string}
@@ -105,6 +236,16 @@ export class AstPrinter {
     return `(${expr.operator.lexeme} ${this.print(expr.right)})`;
   }
 
+  /**
+   * @param {Update} expr
+   * @returns {string}
+   */
+  visitUpdate(expr) {
+    return expr.prefix
+      ? `(${expr.operator.lexeme} ${this.print(expr.target)})`
+      : `(${this.print(expr.target)} ${expr.operator.lexeme})`;
+  }
+
   /**
    * @param {Ternary} expr
    * @returns {string}
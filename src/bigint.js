@@ -0,0 +1,175 @@
+/**
+ * @import { NativeImplementation } from "./native-function.js";
+ * @import { Token } from "./token.js";
+ * @import { TokenType } from "./token-type.js";
+ * @import { LoxValue } from "./value.js";
+ */
+
+import { RuntimeError } from "./runtime-error.js";
+
+/**
+ * Binary operators that can be applied to two BigInts.
+ * @type {ReadonlySet<TokenType>}
+ */
+export const BIGINT_OPERATORS = new Set([
+  "LESS",
+  "LESS_EQUAL",
+  "GREATER",
+  "GREATER_EQUAL",
+  "MINUS",
+  "PLUS",
+  "STAR",
+  "SLASH",
+  "TILDE_SLASH",
+  "PERCENT",
+  "STAR_STAR",
+  "AMPERSAND",
+  "PIPE",
+  "CARET",
+  "LESS_LESS",
+  "GREATER_GREATER",
+]);
+
+/**
+ * Applies a binary operator in {@linkcode BIGINT_OPERATORS} to two BigInts.
+ * Throws a RuntimeError if either operand is not a BigInt, since BigInts and
+ * numbers can't be mixed, or if the result is too large to represent.
+ * @param {Token} operator Token used to report errors
+ * @param {TokenType} type Type of the operator to apply
+ * @param {LoxValue} left
+ * @param {LoxValue} right
+ * @returns {LoxValue}
+ */
+export function bigIntOperation(operator, type, left, right) {
+  if (typeof left !== "bigint" || typeof right !== "bigint") {
+    throw new RuntimeError(
+      operator,
+      "Can't mix BigInt and non-BigInt operands. Use bigint() or number() to convert them.",
+    );
+  }
+
+  try {
+    return applyOperator(operator, type, left, right);
+  } catch (error) {
+    // JavaScript throws a RangeError when a BigInt exceeds its maximum size.
+    if (error instanceof RangeError) {
+      throw new RuntimeError(operator, "BigInt result is too large.");
+    }
+    throw error;
+  }
+}
+
+/**
+ * Applies a binary operator in {@linkcode BIGINT_OPERATORS} to two BigInts.
+ * @param {Token} operator Token used to report errors
+ * @param {TokenType} type Type of the operator to apply
+ * @param {bigint} left
+ * @param {bigint} right
+ * @returns {LoxValue}
+ */
+function applyOperator(operator, type, left, right) {
+  switch (type) {
+    case "LESS":
+      return left < right;
+    case "LESS_EQUAL":
+      return left <= right;
+    case "GREATER":
+      return left > right;
+    case "GREATER_EQUAL":
+      return left >= right;
+    case "MINUS":
+      return left - right;
+    case "PLUS":
+      return left + right;
+    case "STAR":
+      return left * right;
+    case "SLASH":
+      // BigInt division truncates towards zero.
+      return left / checkDivisor(operator, right);
+    case "TILDE_SLASH": {
+      const quotient = left / checkDivisor(operator, right);
+      // Round towards negative infinity, like `~/` does for numbers.
+      return left % right !== 0n && left < 0n !== right < 0n
+        ? quotient - 1n
+        : quotient;
+    }
+    case "PERCENT":
+      return left % checkDivisor(operator, right);
+    case "STAR_STAR":
+      if (right < 0n) {
+        throw new RuntimeError(operator, "BigInt exponent can't be negative.");
+      }
+      return left ** right;
+    case "AMPERSAND":
+      return left & right;
+    case "PIPE":
+      return left | right;
+    case "CARET":
+      return left ^ right;
+    case "LESS_LESS":
+      return left << right;
+    case "GREATER_GREATER":
+      return left >> right;
+  }
+
+  // Unreachable
+  throw new Error(`Unexpected BigInt operator: ${type}`);
+}
+
+/**
+ * Checks that a BigInt divisor is not zero. Throws a RuntimeError if it is.
+ * @param {Token} operator
+ * @param {bigint} divisor
+ * @returns {bigint}
+ */
+function checkDivisor(operator, divisor) {
+  if (divisor === 0n) {
+    throw new RuntimeError(operator, "BigInt division by zero.");
+  }
+  return divisor;
+}
+
+/**
+ * Implementation of the `bigint(value)` native function, which converts an
+ * integer number or a string of digits to a BigInt.
+ * @type {NativeImplementation}
+ */
+export function toBigInt(interpreter, [value], token) {
+  if (typeof value === "bigint") {
+    return value;
+  }
+  if (typeof value === "number" && Number.isInteger(value)) {
+    return BigInt(value);
+  }
+  if (typeof value === "string" && /^\s*[+-]?\d+\s*$/.test(value)) {
+    return BigInt(value.trim());
+  }
+  throw new RuntimeError(
+    token,
+    `Can't convert ${interpreter.stringify(value)} to a BigInt.`,
+  );
+}
+
+/**
+ * Implementation of the `number(value)` native function, which converts a
+ * BigInt or a numeric string to a number. Large BigInts may lose precision.
+ * @type {NativeImplementation}
+ */
+export function toNumber(interpreter, [value], token) {
+  if (typeof value === "number") {
+    return value;
+  }
+  if (typeof value === "bigint") {
+    return Number(value);
+  }
+  if (typeof value === "string" && value.trim() !== "") {
+    const number = Number(value);
+    if (!Number.isNaN(number)) {
+      return number;
+    }
+  }
+  throw new RuntimeError(
+    token,
+    `Can't convert ${interpreter.stringify(value)} to a number.`,
+  );
+}
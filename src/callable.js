@@ -1,8 +1,17 @@
 /**
  * @import { Interpreter } from "./interpreter.js";
+ * @import { Token } from "./token.js";
  * @import { LoxValue } from "./value.js";
  */
 
+/**
+ * Range of the number of arguments accepted by a callable.
+ * @typedef {object} Arity
+ * @property {number} min Minimum number of arguments
+ * @property {number} max Maximum number of arguments, which is `Infinity` if
+ *    any number of extra arguments is accepted
+ */
+
 /**
  * Base class for all callable objects.
  * @abstract
@@ -12,15 +21,16 @@ export class Callable {
    * Executes the callable.
    * @param {Interpreter} _interpreter
    * @param {readonly LoxValue[]} _args
+   * @param {Token} _token Token of the call expression, used to report errors
    * @returns {LoxValue}
    */
-  call(_interpreter, _args) {
+  call(_interpreter, _args, _token) {
     throw new Error("Not implemented");
   }
 
   /**
-   * Returns the number of arguments the callable expects.
-   * @returns {number}
+   * Returns the range of the number of arguments the callable expects.
+   * @returns {Arity}
    */
   arity() {
     throw new Error("Not implemented");
@@ -1,11 +1,14 @@
 /**
+ * @import { Arity } from "./callable.js";
  * @import { LoxFunction } from "./function.js";
  * @import { Interpreter } from "./interpreter.js";
+ * @import { Token } from "./token.js";
  * @import { LoxValue } from "./value.js";
  */
 
 import { Callable } from "./callable.js";
 import { LoxInstance } from "./instance.js";
+import { RuntimeError } from "./runtime-error.js";
 
 /**
  * Represents the runtime value of a Lox class.
@@ -16,25 +19,104 @@ export class LoxClass extends Callable {
    * @readonly
    */
   #methods;
+  /**
+   * Methods that are called on the class itself, rather than its instances.
+   * @type {ReadonlyMap<string, LoxFunction>}
+   * @readonly
+   */
+  #staticMethods;
+  /**
+   * Class-level fields, which are set on the class itself.
+   * @type {Map<string, LoxValue>}
+   * @readonly
+   */
+  #fields = new Map();
 
   /**
    * @param {string} name
+   * @param {LoxClass | undefined} superclass
    * @param {ReadonlyMap<string, LoxFunction>} methods
+   * @param {ReadonlyMap<string, LoxFunction>} staticMethods
    */
-  constructor(name, methods) {
+  constructor(name, superclass, methods, staticMethods) {
     super();
     /** @readonly */
     this.name = name;
+    /** @readonly */
+    this.superclass = superclass;
     this.#methods = methods;
+    this.#staticMethods = staticMethods;
+  }
+
+  /**
+   * Returns the value of a property on the class itself.
+   * @param {Token} name Property name
+   * @returns {LoxValue}
+   * @throws {RuntimeError} If the property does not exist
+   */
+  get(name) {
+    // Look up fields before static methods, like LoxInstance does.
+    const value = this.#fields.get(name.lexeme);
+    if (value !== undefined) {
+      return value;
+    }
+
+    const method = this.#findStaticMethod(name.lexeme);
+    if (method) {
+      return method;
+    }
+
+    throw new RuntimeError(name, `Undefined property '${name.lexeme}'.`);
   }
 
   /**
-   * Looks up a class method by name. Returns `undefined` if it does not exist.
+   * Sets the property on the class itself to the given value.
+   * @param {Token} name Property name
+   * @param {LoxValue} value
+   */
+  set(name, value) {
+    this.#fields.set(name.lexeme, value);
+  }
+
+  /**
+   * Looks up a static method by name, walking up the superclass chain if the
+   * class itself does not define it. Returns `undefined` if it does not exist.
+   * @param {string} name
+   * @returns {LoxFunction | undefined}
+   */
+  #findStaticMethod(name) {
+    const method = this.#staticMethods.get(name);
+    if (method || !this.superclass) {
+      return method;
+    }
+    return this.superclass.#findStaticMethod(name);
+  }
+
+  /**
+   * Looks up a class method by name, walking up the superclass chain if the
+   * class itself does not define it. Returns `undefined` if it does not exist.
    * @param {string} name
    * @returns {LoxFunction | undefined}
    */
   findMethod(name) {
-    return this.#methods.get(name);
+    return this.#methods.get(name) ?? this.superclass?.findMethod(name);
+  }
+
+  /**
+   * Checks whether this class is the given class or inherits from it.
+   * @param {LoxClass} klass
+   * @returns {boolean}
+   */
+  isSubclassOf(klass) {
+    /** @type {LoxClass | undefined} */
+    let current = this;
+    while (current) {
+      if (current === klass) {
+        return true;
+      }
+      current = current.superclass;
+    }
+    return false;
   }
 
   toString() {
@@ -59,13 +141,13 @@ export class LoxClass extends Callable {
 
   /**
    * @override
-   * @returns {number}
+   * @returns {Arity}
    */
   arity() {
     const initializer = this.findMethod("init");
     if (initializer) {
       return initializer.arity();
     }
-    return 0;
+    return { min: 0, max: 0 };
   }
 }
@@ -16,6 +16,6 @@ export class ClockFunction extends Callable {
    * @override
    */
   arity() {
-    return 0;
+    return { min: 0, max: 0 };
   }
 }
@@ -0,0 +1,109 @@
+/**
+ * @import { Expr, UpdateTarget } from './expression.js';
+ * @import { Token } from './token.js';
+ */
+
+/**
+ * Patterns used to unpack a value into several variables, properties or
+ * indexed elements.
+ * @typedef {ListDestructuring | ObjectDestructuring} DestructuringPattern
+ */
+
+/**
+ * One element of a destructuring pattern.
+ */
+export class DestructuringElement {
+  /**
+   * @param {UpdateTarget | DestructuringPattern} target Where the value is
+   *    stored, or a nested pattern that unpacks the value further. In variable
+   *    declarations, targets are always variables.
+   * @param {Expr | undefined} defaultValue Expression used when the value is
+   *    missing
+   */
+  constructor(target, defaultValue) {
+    /**
+     * Where the value is stored, or a nested pattern that unpacks the value
+     * further. In variable declarations, targets are always variables.
+     * @readonly
+     */
+    this.target = target;
+    /**
+     * Expression used when the value is missing
+     * @readonly
+     */
+    this.defaultValue = defaultValue;
+  }
+}
+
+/**
+ * Pattern that unpacks the elements of a list (or the values of a map) by
+ * position (e.g. `[a, b]`).
+ */
+export class ListDestructuring {
+  /**
+   * @param {Token} bracket Left bracket, used to report errors
+   * @param {readonly DestructuringElement[]} elements
+   */
+  constructor(bracket, elements) {
+    /**
+     * Left bracket, used to report errors
+     * @readonly
+     */
+    this.bracket = bracket;
+    /** @readonly */
+    this.elements = elements;
+  }
+}
+
+/**
+ * Pattern that unpacks the fields of an instance by name (e.g. `{x, y: b}`).
+ */
+export class ObjectDestructuring {
+  /**
+   * @param {Token} brace Left brace, used to report errors
+   * @param {readonly (readonly [field: Token, element: DestructuringElement])[]} fields
+   *    Field names and the elements that receive their values
+   */
+  constructor(brace, fields) {
+    /**
+     * Left brace, used to report errors
+     * @readonly
+     */
+    this.brace = brace;
+    /**
+     * Field names and the elements that receive their values
+     * @readonly
+     */
+    this.fields = fields;
+  }
+}
+
+/**
+ * Returns the elements of a pattern, in the order in which they are unpacked.
+ * Elements of nested patterns are included after the element that contains
+ * them.
+ * @param {DestructuringPattern} pattern
+ * @returns {DestructuringElement[]}
+ */
+export function destructuringElements(pattern) {
+  const elements =
+    pattern instanceof ListDestructuring
+      ? pattern.elements
+      : pattern.fields.map(([, element]) => element);
+
+  return elements.flatMap((element) =>
+    isDestructuringPattern(element.target)
+      ? [element, ...destructuringElements(element.target)]
+      : [element],
+  );
+}
+
+/**
+ * @param {UpdateTarget | DestructuringPattern} target
+ * @returns {target is DestructuringPattern}
+ */
+export function isDestructuringPattern(target) {
+  return (
+    target instanceof ListDestructuring || target instanceof ObjectDestructuring
+  );
+}
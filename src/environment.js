@@ -14,6 +14,12 @@ export class Environment {
    * @type {Map<string, LoxValue | typeof UNINITIALIZED>}
    */
   #values = new Map();
+  /**
+   * Names of the variables in this environment that can't be reassigned.
+   * @readonly
+   * @type {Set<string>}
+   */
+  #constants = new Set();
   /**
    * Enclosing environment, or `undefined` if this is the top (global)
    * environment.
@@ -33,12 +39,40 @@ export class Environment {
    * Defines a new variable or redefines an existing variable.
    * @param {string} name
    * @param {LoxValue=} value
+   * @param {boolean} constant Whether the variable can't be reassigned
    */
-  define(name, value) {
+  define(name, value, constant = false) {
     // We do not check if the variable name already exists.
     // This allows users to redefine existing variables, which makes coding in
     // the REPL easier.
     this.#values.set(name, value === undefined ? UNINITIALIZED : value);
+    if (constant) {
+      this.#constants.add(name);
+    } else {
+      this.#constants.delete(name);
+    }
+  }
+
+  /**
+   * Returns the outermost (global) environment of the chain that this
+   * environment belongs to. Each module has its own global environment.
+   * @returns {Environment}
+   */
+  globals() {
+    return this.#enclosing ? this.#enclosing.globals() : this;
+  }
+
+  /**
+   * Returns all variables defined directly in this environment, and whether
+   * they are constants. Uninitialized variables have the value `undefined`.
+   * @returns {[name: string, value: LoxValue | undefined, constant: boolean][]}
+   */
+  entries() {
+    return Array.from(this.#values, ([name, value]) => [
+      name,
+      value === UNINITIALIZED ? undefined : value,
+      this.#constants.has(name),
+    ]);
   }
 
   /**
@@ -126,9 +160,17 @@ export class Environment {
    * Assigns a value to an existing variable.
    * @param {Token} name
    * @param {LoxValue} value
-   * @throws {RuntimeError} If the variable is not defined
+   * @throws {RuntimeError} If the variable is not defined or is a constant
    */
   assign(name, value) {
+    if (this.#constants.has(name.lexeme)) {
+      // Local constants are checked by the Resolver, but global variables are
+      // only known at runtime.
+      throw new RuntimeError(
+        name,
+        `Can't assign to constant '${name.lexeme}'.`,
+      );
+    }
     if (this.#values.has(name.lexeme)) {
       this.#values.set(name.lexeme, value);
     } else if (this.#enclosing) {
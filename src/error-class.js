@@ -0,0 +1,53 @@
+/**
+ * @import { Arity } from "./callable.js";
+ * @import { Interpreter } from "./interpreter.js";
+ * @import { LoxValue } from "./value.js";
+ */
+
+import { LoxClass } from "./class.js";
+import { LoxInstance } from "./instance.js";
+
+/**
+ * Implementation of the built-in `Error` class.
+ *
+ * Errors raised by the interpreter are converted to instances of this class
+ * when they are caught by a catch clause. Lox code can also create instances
+ * with `Error(message)`. Each instance has a `message` field and a `line` field
+ * (the line where the error was raised, or `nil` if it was not raised yet).
+ */
+export class LoxErrorClass extends LoxClass {
+  constructor() {
+    super("Error", undefined, new Map(), new Map());
+  }
+
+  /**
+   * Creates a new error instance.
+   * @param {LoxValue} message
+   * @param {number | null} line
+   * @returns {LoxInstance}
+   */
+  instantiate(message, line) {
+    const instance = new LoxInstance(this);
+    instance.setField("message", message);
+    instance.setField("line", line);
+    return instance;
+  }
+
+  /**
+   * @override
+   * @param {Interpreter} _interpreter
+   * @param {readonly LoxValue[]} args
+   * @returns {LoxInstance}
+   */
+  call(_interpreter, args) {
+    return this.instantiate(args[0], null);
+  }
+
+  /**
+   * @override
+   * @returns {Arity}
+   */
+  arity() {
+    return { min: 1, max: 1 };
+  }
+}
@@ -1,20 +1,39 @@
 /**
+ * @import { DestructuringPattern } from './destructuring.js';
+ * @import { Parameter, Stmt } from './statement.js';
  * @import { Token } from './token.js';
  * @import { LoxValue } from "./value.js";
  */
 
+/**
+ * Expressions that can be the target of a compound assignment or an
+ * increment/decrement operator.
+ * @typedef {Variable | GetExpr | IndexGetExpr} UpdateTarget
+ */
+
 /**
  * @template R Value returned by the visitor methods.
  * @typedef {object} ExprVisitor
  * @property {(expr: Assign) => R} visitAssign
  * @property {(expr: Binary) => R} visitBinary
  * @property {(expr: Call) => R} visitCall
+ * @property {(expr: CompoundAssign) => R} visitCompoundAssign
+ * @property {(expr: DestructuringAssign) => R} visitDestructuringAssign
+ * @property {(expr: FunctionExpr) => R} visitFunctionExpr
  * @property {(expr: GetExpr) => R} visitGetExpr
  * @property {(expr: Grouping) => R} visitGrouping
+ * @property {(expr: IndexGetExpr) => R} visitIndexGetExpr
+ * @property {(expr: IndexSetExpr) => R} visitIndexSetExpr
+ * @property {(expr: Interpolation) => R} visitInterpolation
+ * @property {(expr: ListExpr) => R} visitListExpr
  * @property {(expr: Literal) => R} visitLiteral
  * @property {(expr: Logical) => R} visitLogical
+ * @property {(expr: MapExpr) => R} visitMapExpr
+ * @property {(expr: OptionalChain) => R} visitOptionalChain
  * @property {(expr: SetExpr) => R} visitSetExpr
+ * @property {(expr: Super) => R} visitSuper
  * @property {(expr: Unary) => R} visitUnary
+ * @property {(expr: Update) => R} visitUpdate
  * @property {(expr: Ternary) => R} visitTernary
  * @property {(expr: This) => R} visitThis
  * @property {(expr: Variable) => R} visitVariable
@@ -119,6 +138,117 @@ export class Call extends Expr {
   }
 }
 
+/**
+ * AST node for the compound assignment expression (e.g. `a += 1`).
+ */
+export class CompoundAssign extends Expr {
+  /**
+   * @param {UpdateTarget} target Variable, property or index to update
+   * @param {Token} operator Compound assignment operator (e.g. `+=`)
+   * @param {Expr} value
+   */
+  constructor(target, operator, value) {
+    super();
+    /**
+     * Variable, property or index to update
+     * @readonly
+     */
+    this.target = target;
+    /**
+     * Compound assignment operator (e.g. `+=`)
+     * @readonly
+     */
+    this.operator = operator;
+    /** @readonly */
+    this.value = value;
+  }
+
+  /**
+   * @override
+   * @template R
+   * @param {ExprVisitor<R>} visitor
+   * @returns {R}
+   */
+  accept(visitor) {
+    return visitor.visitCompoundAssign(this);
+  }
+}
+
+/**
+ * AST node for the assignment expression with a destructuring pattern
+ * (e.g. `[a, b] = [b, a]`).
+ */
+export class DestructuringAssign extends Expr {
+  /**
+   * @param {DestructuringPattern} pattern
+   * @param {Expr} value
+   */
+  constructor(pattern, value) {
+    super();
+    /** @readonly */
+    this.pattern = pattern;
+    /** @readonly */
+    this.value = value;
+  }
+
+  /**
+   * @override
+   * @template R
+   * @param {ExprVisitor<R>} visitor
+   * @returns {R}
+   */
+  accept(visitor) {
+    return visitor.visitDestructuringAssign(this);
+  }
+}
+
+/**
+ * AST node for the anonymous function expression (AKA "lambda").
+ */
+export class FunctionExpr extends Expr {
+  /**
+   * @param {Token} keyword The `fun` keyword or the `=>` token, used to report
+   *    errors
+   * @param {readonly Parameter[]} params
+   * @param {Token | undefined} rest Rest parameter, which receives the extra
+   *    arguments as a list
+   * @param {readonly Stmt[]} body
+   * @param {boolean} generator Whether the function is a generator (`fun*`)
+   */
+  constructor(keyword, params, rest, body, generator = false) {
+    super();
+    /**
+     * The `fun` keyword or the `=>` token, used to report errors
+     * @readonly
+     */
+    this.keyword = keyword;
+    /** @readonly */
+    this.params = params;
+    /**
+     * Rest parameter, which receives the extra arguments as a list
+     * @readonly
+     */
+    this.rest = rest;
+    /** @readonly */
+    this.body = body;
+    /**
+     * Whether the function is a generator (`fun*`)
+     * @readonly
+     */
+    this.generator = generator;
+  }
+
+  /**
+   * @override
+   * @template R
+   * @param {ExprVisitor<R>} visitor
+   * @returns {R}
+   */
+  accept(visitor) {
+    return visitor.visitFunctionExpr(this);
+  }
+}
+
 /**
  * AST node for the property access expression (AKA "get expression").
  */
@@ -126,8 +256,11 @@ export class GetExpr extends Expr {
   /**
    * @param {Expr} object Expression that evaluates to a Lox object
    * @param {Token} name Property name to access
+   * @param {boolean} optional Whether the property is accessed with `?.`,
+   *    which short-circuits the enclosing {@linkcode OptionalChain} when the
+   *    object is `nil`
    */
-  constructor(object, name) {
+  constructor(object, name, optional = false) {
     super();
     /**
      * Expression that evaluates to a Lox object
@@ -139,6 +272,12 @@ export class GetExpr extends Expr {
      * @readonly
      */
     this.name = name;
+    /**
+     * Whether the property is accessed with `?.`, which short-circuits the
+     * enclosing {@linkcode OptionalChain} when the object is `nil`
+     * @readonly
+     */
+    this.optional = optional;
   }
 
   /**
@@ -173,6 +312,158 @@ export class Grouping extends Expr {
   }
 }
 
+/**
+ * AST node for the index access expression (e.g. `list[index]`).
+ */
+export class IndexGetExpr extends Expr {
+  /**
+   * @param {Expr} object Expression that evaluates to an indexable value
+   * @param {Token} bracket The opening bracket token, used to report errors
+   * @param {Expr} index Expression that evaluates to the index
+   * @param {boolean} optional Whether the element is accessed with `?.[`,
+   *    which short-circuits the enclosing {@linkcode OptionalChain} when the
+   *    object is `nil`
+   */
+  constructor(object, bracket, index, optional = false) {
+    super();
+    /**
+     * Expression that evaluates to an indexable value
+     * @readonly
+     */
+    this.object = object;
+    /**
+     * The opening bracket token, used to report errors
+     * @readonly
+     */
+    this.bracket = bracket;
+    /**
+     * Expression that evaluates to the index
+     * @readonly
+     */
+    this.index = index;
+    /**
+     * Whether the element is accessed with `?.[`, which short-circuits the
+     * enclosing {@linkcode OptionalChain} when the object is `nil`
+     * @readonly
+     */
+    this.optional = optional;
+  }
+
+  /**
+   * @override
+   * @template R
+   * @param {ExprVisitor<R>} visitor
+   * @returns {R}
+   */
+  accept(visitor) {
+    return visitor.visitIndexGetExpr(this);
+  }
+}
+
+/**
+ * AST node for the index assignment expression (e.g. `list[index] = value`).
+ */
+export class IndexSetExpr extends Expr {
+  /**
+   * @param {Expr} object Expression that evaluates to an indexable value
+   * @param {Token} bracket The opening bracket token, used to report errors
+   * @param {Expr} index Expression that evaluates to the index
+   * @param {Expr} value Expression that evaluates to the value to assign
+   */
+  constructor(object, bracket, index, value) {
+    super();
+    /**
+     * Expression that evaluates to an indexable value
+     * @readonly
+     */
+    this.object = object;
+    /**
+     * The opening bracket token, used to report errors
+     * @readonly
+     */
+    this.bracket = bracket;
+    /**
+     * Expression that evaluates to the index
+     * @readonly
+     */
+    this.index = index;
+    /**
+     * Expression that evaluates to the value to assign
+     * @readonly
+     */
+    this.value = value;
+  }
+
+  /**
+   * @override
+   * @template R
+   * @param {ExprVisitor<R>} visitor
+   * @returns {R}
+   */
+  accept(visitor) {
+    return visitor.visitIndexSetExpr(this);
+  }
+}
+
+/**
+ * AST node for the string interpolation expression (e.g. `"sum: ${a + b}"`).
+ */
+export class Interpolation extends Expr {
+  /**
+   * @param {readonly Expr[]} parts Expressions whose values are converted to
+   *    strings and concatenated. The string fragments between interpolated
+   *    expressions are represented as string literals.
+   */
+  constructor(parts) {
+    super();
+    /**
+     * Expressions whose values are converted to strings and concatenated
+     * @readonly
+     */
+    this.parts = parts;
+  }
+
+  /**
+   * @override
+   * @template R
+   * @param {ExprVisitor<R>} visitor
+   * @returns {R}
+   */
+  accept(visitor) {
+    return visitor.visitInterpolation(this);
+  }
+}
+
+/**
+ * AST node for the list literal expression.
+ */
+export class ListExpr extends Expr {
+  /**
+   * @param {Token} bracket The opening bracket token
+   * @param {readonly Expr[]} elements
+   */
+  constructor(bracket, elements) {
+    super();
+    /**
+     * The opening bracket token
+     * @readonly
+     */
+    this.bracket = bracket;
+    /** @readonly */
+    this.elements = elements;
+  }
+
+  /**
+   * @override
+   * @template R
+   * @param {ExprVisitor<R>} visitor
+   * @returns {R}
+   */
+  accept(visitor) {
+    return visitor.visitListExpr(this);
+  }
+}
+
 export class Literal extends Expr {
   /**
    * @param {LoxValue} value
@@ -221,6 +512,63 @@ export class Logical extends Expr {
   }
 }
 
+/**
+ * AST node for the map literal expression.
+ */
+export class MapExpr extends Expr {
+  /**
+   * @param {Token} brace The opening brace token
+   * @param {readonly (readonly [key: Expr, value: Expr])[]} entries
+   */
+  constructor(brace, entries) {
+    super();
+    /**
+     * The opening brace token
+     * @readonly
+     */
+    this.brace = brace;
+    /** @readonly */
+    this.entries = entries;
+  }
+
+  /**
+   * @override
+   * @template R
+   * @param {ExprVisitor<R>} visitor
+   * @returns {R}
+   */
+  accept(visitor) {
+    return visitor.visitMapExpr(this);
+  }
+}
+
+/**
+ * AST node for a chain of property accesses, index accesses and calls that
+ * contains at least one optional access (e.g. `a?.b.c()`). When an optional
+ * access finds `nil`, the rest of the chain is skipped and the whole chain
+ * evaluates to `nil`.
+ */
+export class OptionalChain extends Expr {
+  /**
+   * @param {Expr} expression
+   */
+  constructor(expression) {
+    super();
+    /** @readonly */
+    this.expression = expression;
+  }
+
+  /**
+   * @override
+   * @template R
+   * @param {ExprVisitor<R>} visitor
+   * @returns {R}
+   */
+  accept(visitor) {
+    return visitor.visitOptionalChain(this);
+  }
+}
+
 /**
  * AST node for the property assignment expression (AKA "set expression").
  */
@@ -260,6 +608,39 @@ export class SetExpr extends Expr {
   }
 }
 
+/**
+ * AST node for the super-expression (i.e. superclass method access).
+ */
+export class Super extends Expr {
+  /**
+   * @param {Token} keyword The `super` keyword token
+   * @param {Token} method Name of the superclass method to access
+   */
+  constructor(keyword, method) {
+    super();
+    /**
+     * The `super` keyword token
+     * @readonly
+     */
+    this.keyword = keyword;
+    /**
+     * Name of the superclass method to access
+     * @readonly
+     */
+    this.method = method;
+  }
+
+  /**
+   * @override
+   * @template R
+   * @param {ExprVisitor<R>} visitor
+   * @returns {R}
+   */
+  accept(visitor) {
+    return visitor.visitSuper(this);
+  }
+}
+
 export class Unary extends Expr {
   /**
    * @param {Token} operator
@@ -284,6 +665,47 @@ export class Unary extends Expr {
   }
 }
 
+/**
+ * AST node for the increment and decrement expressions (`++x`, `x--`, etc.).
+ */
+export class Update extends Expr {
+  /**
+   * @param {Token} operator `++` or `--`
+   * @param {UpdateTarget} target Variable, property or index to update
+   * @param {boolean} prefix Whether the operator appears before the target.
+   *    Prefix expressions evaluate to the new value, postfix expressions to the
+   *    old value.
+   */
+  constructor(operator, target, prefix) {
+    super();
+    /**
+     * `++` or `--`
+     * @readonly
+     */
+    this.operator = operator;
+    /**
+     * Variable, property or index to update
+     * @readonly
+     */
+    this.target = target;
+    /**
+     * Whether the operator appears before the target
+     * @readonly
+     */
+    this.prefix = prefix;
+  }
+
+  /**
+   * @override
+   * @template R
+   * @param {ExprVisitor<R>} visitor
+   * @returns {R}
+   */
+  accept(visitor) {
+    return visitor.visitUpdate(this);
+  }
+}
+
 export class Ternary extends Expr {
   /**
    * @param {Expr} cond
@@ -2,11 +2,17 @@
 
 import { Callable } from "./callable.js";
 import { Environment } from "./environment.js";
+import { LoxGenerator } from "./generator.js";
+import { LoxList } from "./list.js";
 import { ReturnValue } from "./return.js";
+import { FunctionDecl } from "./statement.js";
 
 /**
+ * @import { FunctionExpr } from "./expression.js";
  * @import { Interpreter } from "./interpreter.js";
- * @import { FunctionDecl } from "./statement.js";
+ * @import { Token } from "./token.js";
+ * @import { Arity } from "./callable.js";
+ * @import { Parameter } from "./statement.js";
  * @import { LoxValue } from "./value.js";
  */
 
@@ -19,7 +25,7 @@ export class LoxFunction extends Callable {
   #isInitializer;
 
   /**
-   * @param {FunctionDecl} declaration
+   * @param {FunctionDecl | FunctionExpr} declaration
    * @param {Environment} closure
    * @param {boolean} isInitializer
    */
@@ -30,6 +36,26 @@ export class LoxFunction extends Callable {
     this.#isInitializer = isInitializer;
   }
 
+  /**
+   * Named parameters of the function, not including the rest parameter.
+   * @returns {readonly Parameter[]}
+   */
+  get params() {
+    return this.#declaration.params;
+  }
+
+  /**
+   * Token that identifies the function in error messages: its name, or the
+   * `fun` keyword or `=>` token of an anonymous function.
+   * @returns {Token}
+   */
+  get token() {
+    if (this.#declaration instanceof FunctionDecl) {
+      return this.#declaration.name;
+    }
+    return this.#declaration.keyword;
+  }
+
   /**
    * Creates a new {@linkcode LoxFunction} based on the current one, but with
    * the `this` keyword bound to the given {@linkcode LoxInstance}.
@@ -50,10 +76,32 @@ export class LoxFunction extends Callable {
    */
   call(interpreter, args) {
     const environment = new Environment(this.#closure);
-    // Note: The interpreter ensures that the number of arguments matches the
-    // number of parameters before calling this code.
-    for (let i = 0; i < this.#declaration.params.length; i++) {
-      environment.define(this.#declaration.params[i].lexeme, args[i]);
+    // Note: The interpreter ensures that the number of arguments is within the
+    // arity of the function before calling this code.
+    const { params, rest } = this.#declaration;
+    for (let i = 0; i < params.length; i++) {
+      const { name, defaultValue } = params[i];
+      if (i < args.length) {
+        environment.define(name.lexeme, args[i]);
+      } else if (defaultValue) {
+        // Default values are evaluated at call time, after the preceding
+        // parameters are defined.
+        environment.define(
+          name.lexeme,
+          interpreter.evaluateIn(defaultValue, environment),
+        );
+      }
+    }
+    if (rest) {
+      environment.define(rest.lexeme, new LoxList(args.slice(params.length)));
+    }
+
+    if (this.#declaration.generator) {
+      // The body only runs when the generator is resumed.
+      return new LoxGenerator(
+        this.#name(),
+        interpreter.executeBlockResumable(this.#declaration.body, environment),
+      );
     }
 
     try {
@@ -82,13 +130,27 @@ export class LoxFunction extends Callable {
 
   /**
    * @override
-   * @returns {number}
+   * @returns {Arity}
    */
   arity() {
-    return this.#declaration.params.length;
+    const params = this.#declaration.params;
+    return {
+      min: params.filter((param) => !param.defaultValue).length,
+      max: this.#declaration.rest ? Number.POSITIVE_INFINITY : params.length,
+    };
+  }
+
+  /**
+   * @returns {string}
+   */
+  #name() {
+    if (this.#declaration instanceof FunctionDecl) {
+      return this.#declaration.name.lexeme;
+    }
+    return "anonymous";
   }
 
   toString() {
-    return `<fn ${this.#declaration.name.lexeme}>`;
+    return `<fn ${this.#name()}>`;
   }
 }
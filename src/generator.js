@@ -0,0 +1,137 @@
+/**
+ * @import { Token } from "./token.js";
+ * @import { LoxValue } from "./value.js";
+ */
+
+import { NativeFunction } from "./native-function.js";
+import { ReturnValue } from "./return.js";
+import { RuntimeError } from "./runtime-error.js";
+
+/**
+ * Represents the runtime value of a Lox generator, which is returned by calling
+ * a generator function (`fun*`).
+ *
+ * The body of the generator function runs lazily: each call to `next()` resumes
+ * it until the next yield statement, whose value is returned. Once the body
+ * finishes, `next()` returns `nil` and `done` becomes `true`.
+ */
+export class LoxGenerator {
+  /** @readonly */
+  #name;
+  /**
+   * Suspended execution of the function body.
+   * @readonly
+   */
+  #execution;
+  /**
+   * Result of resuming the body ahead of time, which is kept until the next
+   * call to `next()`. This is needed to know whether the generator is done
+   * before its next value is requested.
+   * @type {IteratorResult<LoxValue, void> | undefined}
+   */
+  #pending;
+  /** Whether the body is currently running */
+  #running = false;
+
+  /**
+   * @param {string} name Name of the generator function
+   * @param {Generator<LoxValue, void, undefined>} execution Suspended execution
+   *    of the function body
+   */
+  constructor(name, execution) {
+    this.#name = name;
+    this.#execution = execution;
+  }
+
+  /**
+   * Returns the next value produced by the generator, or `nil` if the generator
+   * is done.
+   * @param {Token} token Token used to report errors
+   * @returns {LoxValue}
+   */
+  next(token) {
+    const result = this.#peek(token);
+    this.#pending = undefined;
+    return result.done ? null : result.value;
+  }
+
+  /**
+   * Checks whether the generator has finished, resuming the body until its next
+   * yield statement if needed.
+   * @param {Token} token Token used to report errors
+   * @returns {boolean}
+   */
+  done(token) {
+    return this.#peek(token).done ?? false;
+  }
+
+  /**
+   * Finishes the generator early, running the finally blocks that are pending
+   * in its body. Does nothing if the body is currently running.
+   */
+  close() {
+    if (this.#running) {
+      return;
+    }
+
+    this.#running = true;
+    try {
+      this.#execution.return();
+    } catch (error) {
+      if (!(error instanceof ReturnValue)) {
+        throw error;
+      }
+    } finally {
+      this.#running = false;
+    }
+    this.#pending = { done: true, value: undefined };
+  }
+
+  /**
+   * @param {Token} token
+   * @returns {IteratorResult<LoxValue, void>}
+   */
+  #peek(token) {
+    if (this.#pending) {
+      return this.#pending;
+    }
+    if (this.#running) {
+      throw new RuntimeError(token, "Generator is already running.");
+    }
+
+    this.#running = true;
+    try {
+      this.#pending = this.#execution.next();
+    } catch (error) {
+      // A return statement ends the generator.
+      if (!(error instanceof ReturnValue)) {
+        throw error;
+      }
+      this.#pending = { done: true, value: undefined };
+    } finally {
+      this.#running = false;
+    }
+    return this.#pending;
+  }
+
+  /**
+   * Returns a property of the generator.
+   * @param {Token} name Property name
+   * @returns {LoxValue}
+   * @throws {RuntimeError} If the property does not exist
+   */
+  get(name) {
+    switch (name.lexeme) {
+      case "next":
+        return new NativeFunction("next", 0, () => this.next(name));
+      case "done":
+        return this.done(name);
+    }
+
+    throw new RuntimeError(name, `Undefined property '${name.lexeme}'.`);
+  }
+
+  toString() {
+    return `<generator ${this.#name}>`;
+  }
+}
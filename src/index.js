@@ -52,7 +52,7 @@ async function runFile(filename) {
   console.debug(`Running file: ${filename}`);
   const code = await readFile(filename, "utf-8");
   const reporter = new Reporter();
-  run(code, reporter);
+  run(code, reporter, false, filename);
 
   // Indicate an error in the exit code.
   if (reporter.hadError) process.exitCode = 65;
@@ -78,8 +78,9 @@ async function runPrompt() {
  * @param {string} source
  * @param {Reporter} reporter
  * @param {boolean=} allowSingleExpr Whether to allow running a single expression
+ * @param {string=} filename Path of the file being run, used to resolve imports
  */
-function run(source, reporter, allowSingleExpr = false) {
+function run(source, reporter, allowSingleExpr = false, filename = undefined) {
   const scanner = new Scanner(source, reporter);
   const tokens = scanner.scanTokens();
   const parser = new Parser(tokens, reporter);
@@ -111,5 +112,5 @@ function run(source, reporter, allowSingleExpr = false) {
     return;
   }
 
-  interpreter.interpret(statements, reporter);
+  interpreter.interpret(statements, reporter, filename);
 }
@@ -23,6 +23,13 @@ export class LoxInstance {
     this.#klass = klass;
   }
 
+  /**
+   * The class that this object is an instance of.
+   */
+  get klass() {
+    return this.#klass;
+  }
+
   /**
    * Returns the value of a property on the instance.
    * @param {Token} name Property name
@@ -54,6 +61,26 @@ export class LoxInstance {
     this.#fields.set(name.lexeme, value);
   }
 
+  /**
+   * Returns the value of a field on the instance, or `undefined` if it does not
+   * exist. Unlike {@linkcode get()}, this does not look up methods.
+   * @param {string} name Field name
+   * @returns {LoxValue | undefined}
+   */
+  getField(name) {
+    return this.#fields.get(name);
+  }
+
+  /**
+   * Sets a field on the instance. This is meant to be used by native code,
+   * which has no property name token to pass to {@linkcode set()}.
+   * @param {string} name Field name
+   * @param {LoxValue} value
+   */
+  setField(name, value) {
+    this.#fields.set(name, value);
+  }
+
   toString() {
     return `${this.#klass.name} instance`;
   }
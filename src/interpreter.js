@@ -3,46 +3,143 @@
  *   Assign,
  *   Binary,
  *   Call,
+ *   CompoundAssign,
+ *   DestructuringAssign,
  *   Expr,
  *   ExprVisitor,
- *   GetExpr,
+ *   FunctionExpr,
  *   Grouping,
+ *   IndexSetExpr,
+ *   Interpolation,
+ *   ListExpr,
  *   Literal,
  *   Logical,
+ *   MapExpr,
+ *   OptionalChain,
  *   SetExpr,
+ *   Super,
  *   Ternary,
  *   This,
  *   Unary,
+ *   Update,
+ *   UpdateTarget,
  *   Variable,
  * } from "./expression.js";
- * @import { Reporter } from "./reporter.js";
  * @import {
- *   Block,
+ *   Break,
  *   Class,
+ *   Continue,
+ *   DestructuringVar,
  *   Expression,
  *   FunctionDecl,
- *   If,
+ *   Import,
+ *   MatchCase,
  *   Print,
  *   Return,
  *   Stmt,
  *   StmtVisitor,
+ *   Throw,
+ *   Trait,
  *   Var,
- *   While,
  * } from "./statement.js";
+ * @import {
+ *   DestructuringElement,
+ *   DestructuringPattern,
+ * } from "./destructuring.js";
+ * @import { Pattern } from "./pattern.js";
  * @import { Token } from "./token.js";
+ * @import { TokenType } from "./token-type.js";
  * @import { LoxValue } from "./value.js";
  */
 
+import { readFileSync } from "node:fs";
+import * as path from "node:path";
+import {
+  BIGINT_OPERATORS,
+  bigIntOperation,
+  toBigInt,
+  toNumber,
+} from "./bigint.js";
 import { Callable } from "./callable.js";
 import { LoxClass } from "./class.js";
 import { ClockFunction } from "./clock.js";
+import { isDestructuringPattern, ListDestructuring } from "./destructuring.js";
 import { Environment } from "./environment.js";
+import { LoxErrorClass } from "./error-class.js";
+import { GetExpr, IndexGetExpr } from "./expression.js";
 import { LoxFunction } from "./function.js";
+import { LoxGenerator } from "./generator.js";
 import { LoxInstance } from "./instance.js";
+import { LoxList } from "./list.js";
+import { BreakSignal, ContinueSignal } from "./loop-control.js";
+import { LoxMap } from "./map.js";
+import { NativeFunction } from "./native-function.js";
+import { Parser } from "./parser.js";
+import { BindingPattern, LiteralPattern, WildcardPattern } from "./pattern.js";
+import { LoxRange } from "./range.js";
+import { Reporter } from "./reporter.js";
+import { Resolver } from "./resolver.js";
 import { ReturnValue } from "./return.js";
 import { RuntimeError } from "./runtime-error.js";
+import { Scanner } from "./scanner.js";
+import { ShortCircuitSignal } from "./short-circuit.js";
+import { Block, ForIn, If, Match, Try, While, Yield } from "./statement.js";
+import { LoxTrait } from "./trait.js";
+
+/** @typedef {Assign | Super | This | Variable} ResolvableExpr */
 
-/** @typedef {Assign | This | Variable} ResolvableExpr */
+/**
+ * Maps each compound assignment operator to the binary operator it applies.
+ * @type {Readonly<Record<string, TokenType>>}
+ */
+const COMPOUND_OPERATORS = {
+  PLUS_EQUAL: "PLUS",
+  MINUS_EQUAL: "MINUS",
+  STAR_EQUAL: "STAR",
+  SLASH_EQUAL: "SLASH",
+  PERCENT_EQUAL: "PERCENT",
+};
+
+/**
+ * Maps each overloadable binary operator to the name of the method that a class
+ * can define to overload it.
+ * @type {Readonly<Partial<Record<TokenType, string>>>}
+ */
+const BINARY_OPERATOR_METHODS = {
+  PLUS: "__add",
+  MINUS: "__sub",
+  STAR: "__mul",
+  SLASH: "__div",
+  PERCENT: "__mod",
+  LESS: "__lt",
+  LESS_EQUAL: "__le",
+  GREATER: "__gt",
+  GREATER_EQUAL: "__ge",
+  EQUAL_EQUAL: "__eq",
+  BANG_EQUAL: "__eq",
+};
+
+/**
+ * Maps each overloadable binary operator to the name of the method that is
+ * called on the right operand when only the right operand is an instance.
+ * Comparisons use the mirrored comparison (`1 < b` is `b > 1`), while
+ * arithmetic operators use reflected methods (`1 - b` calls `b.__rsub(1)`),
+ * since the operation may not be commutative.
+ * @type {Readonly<Partial<Record<TokenType, string>>>}
+ */
+const REFLECTED_OPERATOR_METHODS = {
+  PLUS: "__radd",
+  MINUS: "__rsub",
+  STAR: "__rmul",
+  SLASH: "__rdiv",
+  PERCENT: "__rmod",
+  LESS: "__gt",
+  LESS_EQUAL: "__ge",
+  GREATER: "__lt",
+  GREATER_EQUAL: "__le",
+  EQUAL_EQUAL: "__eq",
+  BANG_EQUAL: "__eq",
+};
 
 /**
  * @implements {StmtVisitor<void>}
@@ -59,17 +156,74 @@ export class Interpreter {
    * @readonly
    */
   #locals = new Map();
+  /**
+   * The built-in `Error` class, used to convert errors raised by the
+   * interpreter into Lox values.
+   * @readonly
+   */
+  #errorClass = new LoxErrorClass();
+  /** @readonly */
+  #clockFunction = new ClockFunction();
+  /** @readonly */
+  #bigIntFunction = new NativeFunction("bigint", 1, toBigInt);
+  /** @readonly */
+  #numberFunction = new NativeFunction("number", 1, toNumber);
+  /** @readonly */
+  #stringFunction = new NativeFunction("string", 1, (interpreter, [value]) =>
+    interpreter.stringify(value),
+  );
+
+  /**
+   * Global environments of the modules that have been imported, keyed by their
+   * absolute paths. Each module is evaluated only once.
+   * @type {Map<string, Environment>}
+   * @readonly
+   */
+  #modules = new Map();
+  /**
+   * Absolute paths of the modules that are currently being evaluated, in the
+   * order they were imported. Used to detect circular imports.
+   * @type {string[]}
+   * @readonly
+   */
+  #loadingModules = [];
+  /**
+   * Instances that are currently being converted to strings by their
+   * `toString()` method. Used to avoid infinite recursion.
+   * @type {Set<LoxInstance>}
+   * @readonly
+   */
+  #stringifying = new Set();
 
   constructor() {
-    this.#globals.define("clock", new ClockFunction());
+    this.#defineNatives(this.#globals);
+  }
+
+  /**
+   * Defines the built-in functions and classes in a global environment.
+   * @param {Environment} environment
+   */
+  #defineNatives(environment) {
+    environment.define("clock", this.#clockFunction);
+    environment.define("bigint", this.#bigIntFunction);
+    environment.define("number", this.#numberFunction);
+    environment.define("string", this.#stringFunction);
+    environment.define("Error", this.#errorClass);
   }
 
   /**
    * Interprets a sequence of statements.
    * @param {Iterable<Stmt>} statements
    * @param {Reporter} reporter
+   * @param {string=} filename Path of the file that contains the statements,
+   *    used to resolve imports. If omitted, imports are resolved relative to
+   *    the current working directory.
    */
-  interpret(statements, reporter) {
+  interpret(statements, reporter, filename) {
+    if (filename) {
+      this.#loadingModules.push(path.resolve(filename));
+    }
+
     try {
       for (const statement of statements) {
         this.#execute(statement);
@@ -80,6 +234,10 @@ export class Interpreter {
       } else {
         throw error;
       }
+    } finally {
+      if (filename) {
+        this.#loadingModules.pop();
+      }
     }
   }
 
@@ -91,7 +249,7 @@ export class Interpreter {
   interpretExpression(expr, reporter) {
     try {
       const value = this.#evaluate(expr);
-      console.log(stringify(value));
+      console.log(this.stringify(value));
     } catch (error) {
       if (error instanceof RuntimeError) {
         reporter.runtimeError(error);
@@ -101,6 +259,138 @@ export class Interpreter {
     }
   }
 
+  /**
+   * Calls a Lox value with the given arguments, checking that it is callable
+   * and that the number of arguments matches its arity.
+   * This is meant to be used by native functions that accept callbacks.
+   * @param {Token} token Token used to report errors
+   * @param {LoxValue} callee
+   * @param {readonly LoxValue[]} args
+   * @returns {LoxValue}
+   */
+  callValue(token, callee, args) {
+    if (callee instanceof LoxInstance) {
+      return this.#callOperatorMethod(token, callee, "__call", args);
+    }
+    if (!(callee instanceof Callable)) {
+      throw new RuntimeError(token, "Can only call functions and classes.");
+    }
+
+    const { min, max } = callee.arity();
+    if (args.length < min || args.length > max) {
+      const expected =
+        min === max
+          ? `${min}`
+          : max === Number.POSITIVE_INFINITY
+            ? `at least ${min}`
+            : `${min} to ${max}`;
+      throw new RuntimeError(
+        token,
+        `Expected ${expected} arguments but got ${args.length}.`,
+      );
+    }
+
+    return callee.call(this, args, token);
+  }
+
+  /**
+   * Checks the truthiness of a Lox value.
+   * @param {LoxValue} value
+   * @returns {boolean}
+   */
+  isTruthy(value) {
+    return isTruthy(value);
+  }
+
+  /**
+   * Converts a Lox value to a string, the same way the print statement does.
+   * Instances whose class defines a `toString()` method are converted by
+   * calling it.
+   * @param {LoxValue} value
+   * @returns {string}
+   */
+  stringify(value) {
+    if (value === null) return "nil";
+    if (value instanceof LoxList || value instanceof LoxMap) {
+      return this.#stringifyCollection(value, new Set());
+    }
+    if (value instanceof LoxInstance) {
+      return this.#stringifyInstance(value);
+    }
+    return String(value);
+  }
+
+  /**
+   * Converts an instance to a string with the `toString()` method of its
+   * class, if it has one.
+   * @param {LoxInstance} instance
+   * @returns {string}
+   */
+  #stringifyInstance(instance) {
+    const method = instance.klass.findMethod("toString");
+    // Fall back to the default representation when the instance is already
+    // being converted, so that a toString() method which (indirectly) converts
+    // its own instance does not recurse forever.
+    if (!method || this.#stringifying.has(instance)) {
+      return String(instance);
+    }
+
+    this.#stringifying.add(instance);
+    try {
+      const result = this.callValue(method.token, method.bindTo(instance), []);
+      if (typeof result !== "string") {
+        throw new RuntimeError(
+          method.token,
+          `toString() must return a string, but returned ${this.stringify(result)}.`,
+        );
+      }
+      return result;
+    } finally {
+      this.#stringifying.delete(instance);
+    }
+  }
+
+  /**
+   * Converts a list or map to a string like `[1, "two", nil]` or
+   * `{"a": 1, 2: [true]}`.
+   * Strings inside the collection are quoted to make them distinguishable.
+   * @param {LoxList | LoxMap} collection
+   * @param {Set<LoxList | LoxMap>} visited Collections that are currently being
+   *    converted. Used to avoid infinite recursion when a collection contains
+   *    itself.
+   * @returns {string}
+   */
+  #stringifyCollection(collection, visited) {
+    if (visited.has(collection)) {
+      return collection instanceof LoxList ? "[...]" : "{...}";
+    }
+
+    /** @param {LoxValue} element */
+    const stringifyElement = (element) => {
+      if (typeof element === "string") return `"${element}"`;
+      if (element instanceof LoxList || element instanceof LoxMap) {
+        return this.#stringifyCollection(element, visited);
+      }
+      return this.stringify(element);
+    };
+
+    visited.add(collection);
+    let result;
+    if (collection instanceof LoxList) {
+      result = `[${collection.elements.map(stringifyElement).join(", ")}]`;
+    } else {
+      const entries = Array.from(
+        collection.entries,
+        ([key, value]) =>
+          `${stringifyElement(key)}: ${stringifyElement(value)}`,
+      );
+      result = `{${entries.join(", ")}}`;
+    }
+    visited.delete(collection);
+
+    return result;
+  }
+
   /**
    * Executes a statement.
    * @param {Stmt} stmt
@@ -145,6 +435,22 @@ export class Interpreter {
     }
   }
 
+  /**
+   * Evaluates an expression in the given environment.
+   * @param {Expr} expr
+   * @param {Environment} environment
+   * @returns {LoxValue}
+   */
+  evaluateIn(expr, environment) {
+    const previous = this.#environment;
+    this.#environment = environment;
+    try {
+      return this.#evaluate(expr);
+    } finally {
+      this.#environment = previous;
+    }
+  }
+
   /**
    * @param {Block} stmt
    */
@@ -152,14 +458,45 @@ export class Interpreter {
     this.executeBlock(stmt.statements, new Environment(this.#environment));
   }
 
+  /**
+   * @param {Break} stmt
+   * @returns {void}
+   */
+  visitBreak(stmt) {
+    throw new BreakSignal(stmt.label?.lexeme);
+  }
+
   /**
    * @param {Class} stmt
    */
   visitClass(stmt) {
+    /** @type {LoxClass | undefined} */
+    let superclass;
+    if (stmt.superclass) {
+      const value = this.#evaluate(stmt.superclass);
+      if (!(value instanceof LoxClass)) {
+        throw new RuntimeError(
+          stmt.superclass.name,
+          "Superclass must be a class.",
+        );
+      }
+      superclass = value;
+    }
+
     this.#environment.define(stmt.name.lexeme);
 
-    /** @type {Map<string, LoxFunction>} */
-    const methods = new Map();
+    // Methods of the class itself are added later, so that they override the
+    // methods of its traits.
+    const methods = this.#traitMethods(stmt);
+
+    const enclosing = this.#environment;
+    if (superclass) {
+      // Create an extra environment that binds `super` to the superclass, so
+      // that all methods of the subclass capture it in their closures.
+      this.#environment = new Environment(this.#environment);
+      this.#environment.define("super", superclass);
+    }
+
     for (const method of stmt.methods) {
       const fn = new LoxFunction(
         method,
@@ -169,10 +506,71 @@ export class Interpreter {
       methods.set(method.name.lexeme, fn);
     }
 
-    const klass = new LoxClass(stmt.name.lexeme, methods);
+    /** @type {Map<string, LoxFunction>} */
+    const staticMethods = new Map();
+    for (const method of stmt.staticMethods) {
+      const fn = new LoxFunction(method, this.#environment, false);
+      staticMethods.set(method.name.lexeme, fn);
+    }
+
+    const klass = new LoxClass(
+      stmt.name.lexeme,
+      superclass,
+      methods,
+      staticMethods,
+    );
+
+    this.#environment = enclosing;
     this.#environment.assign(stmt.name, klass);
   }
 
+  /**
+   * Collects the methods of the traits that a class includes. A method that
+   * is defined by more than one trait must be overridden by the class itself.
+   * @param {Class} stmt
+   * @returns {Map<string, LoxFunction>}
+   */
+  #traitMethods(stmt) {
+    const overridden = new Set(
+      stmt.methods.map((method) => method.name.lexeme),
+    );
+
+    /** @type {Map<string, LoxFunction>} */
+    const methods = new Map();
+    /** @type {Map<string, LoxTrait>} */
+    const origins = new Map();
+    for (const traitExpr of stmt.traits) {
+      const trait = this.#evaluate(traitExpr);
+      if (!(trait instanceof LoxTrait)) {
+        throw new RuntimeError(
+          traitExpr.name,
+          "Only traits can be used in a 'with' clause.",
+        );
+      }
+
+      for (const [name, method] of trait.methods) {
+        const origin = origins.get(name);
+        if (origin && origin !== trait && !overridden.has(name)) {
+          throw new RuntimeError(
+            traitExpr.name,
+            `Method '${name}' is defined by both trait '${origin.name}' and trait '${trait.name}'.`,
+          );
+        }
+        methods.set(name, method);
+        origins.set(name, trait);
+      }
+    }
+    return methods;
+  }
+
+  /**
+   * @param {Continue} stmt
+   * @returns {void}
+   */
+  visitContinue(stmt) {
+    throw new ContinueSignal(stmt.label?.lexeme);
+  }
+
   /**
    * @param {Expression} stmt
    * @returns {void}
@@ -181,6 +579,106 @@ export class Interpreter {
     this.#evaluate(stmt.expression);
   }
 
+  /**
+   * @param {ForIn} stmt
+   * @returns {void}
+   */
+  visitForIn(stmt) {
+    const iterable = this.#evaluate(stmt.iterable);
+    for (const value of this.#iterate(stmt.keyword, iterable)) {
+      try {
+        this.executeBlock([stmt.body], this.#iterationEnvironment(stmt, value));
+      } catch (error) {
+        if (breaksLoop(error, stmt)) {
+          break;
+        }
+      }
+    }
+  }
+
+  /**
+   * Creates the environment for one iteration of a for-in loop. Each iteration
+   * gets a fresh loop variable, so that closures created in the body capture
+   * the value of their own iteration.
+   * @param {ForIn} stmt
+   * @param {LoxValue} value Value of the loop variable
+   * @param {Environment} enclosing
+   * @returns {Environment}
+   */
+  #iterationEnvironment(stmt, value, enclosing = this.#environment) {
+    const environment = new Environment(enclosing);
+    environment.define(stmt.name.lexeme, value);
+    return environment;
+  }
+
+  /**
+   * Produces the values that a for-in loop iterates over.
+   *
+   * Strings produce their characters, ranges their numbers, lists their
+   * elements, maps their keys and generators the values they yield. Instances
+   * must have an `iterator()` method that returns an object with `hasNext()`
+   * and `next()` methods.
+   * @param {Token} keyword Token used to report errors
+   * @param {LoxValue} iterable
+   * @returns {Generator<LoxValue, void, undefined>}
+   */
+  *#iterate(keyword, iterable) {
+    if (typeof iterable === "string" || iterable instanceof LoxRange) {
+      yield* iterable;
+    } else if (iterable instanceof LoxList) {
+      // Read the length on each iteration, so that elements added by the loop
+      // body are visited too.
+      for (let i = 0; i < iterable.elements.length; i++) {
+        yield iterable.elements[i];
+      }
+    } else if (iterable instanceof LoxMap) {
+      // Keys added by the loop body are visited too, like list elements.
+      yield* iterable.entries.keys();
+    } else if (iterable instanceof LoxGenerator) {
+      try {
+        while (!iterable.done(keyword)) {
+          yield iterable.next(keyword);
+        }
+      } finally {
+        // If the loop ends early, the generator must still run its pending
+        // finally blocks.
+        iterable.close();
+      }
+    } else if (
+      iterable instanceof LoxInstance &&
+      iterable.klass.findMethod("iterator")
+    ) {
+      const iterator = this.#callMethod(keyword, iterable, "iterator");
+      while (isTruthy(this.#callMethod(keyword, iterator, "hasNext"))) {
+        yield this.#callMethod(keyword, iterator, "next");
+      }
+    } else {
+      throw new RuntimeError(
+        keyword,
+        "Can only iterate over strings, ranges, lists, maps, generators and instances with an 'iterator()' method.",
+      );
+    }
+  }
+
+  /**
+   * Calls a method of an instance without arguments.
+   * @param {Token} token Token used to report errors
+   * @param {LoxValue} object
+   * @param {string} name Method name
+   * @returns {LoxValue}
+   */
+  #callMethod(token, object, name) {
+    const method =
+      object instanceof LoxInstance && object.klass.findMethod(name);
+    if (!method) {
+      throw new RuntimeError(
+        token,
+        `Expected an instance with a '${name}()' method.`,
+      );
+    }
+    return this.callValue(token, method.bindTo(object), []);
+  }
+
   /**
    * @param {FunctionDecl} stmt
    */
@@ -204,41 +702,488 @@ export class Interpreter {
     }
   }
 
+  /**
+   * @param {Import} stmt
+   * @returns {void}
+   */
+  visitImport(stmt) {
+    const importer = this.#loadingModules.at(-1);
+    const modulePath = path.resolve(
+      importer ? path.dirname(importer) : process.cwd(),
+      String(stmt.path.literal),
+    );
+
+    const cycleStart = this.#loadingModules.indexOf(modulePath);
+    if (cycleStart !== -1) {
+      const cycle = [...this.#loadingModules.slice(cycleStart), modulePath];
+      throw new RuntimeError(
+        stmt.path,
+        `Circular import: ${cycle.map(displayPath).join(" -> ")}`,
+      );
+    }
+
+    const moduleGlobals =
+      this.#modules.get(modulePath) ?? this.#loadModule(stmt.path, modulePath);
+
+    if (!stmt.names) {
+      for (const [name, value, constant] of moduleGlobals.entries()) {
+        this.#environment.define(name, value, constant);
+      }
+      return;
+    }
+
+    // Imported constants remain constants.
+    const exports = new Map(
+      moduleGlobals
+        .entries()
+        .map(([name, value, constant]) => [name, { value, constant }]),
+    );
+    for (const name of stmt.names) {
+      const exported = exports.get(name.lexeme);
+      if (!exported) {
+        throw new RuntimeError(
+          name,
+          `Module '${displayPath(modulePath)}' has no export named '${name.lexeme}'.`,
+        );
+      }
+      this.#environment.define(name.lexeme, exported.value, exported.constant);
+    }
+  }
+
+  /**
+   * Reads, compiles and evaluates a module in its own global environment.
+   * @param {Token} pathToken Token used to report errors
+   * @param {string} modulePath Absolute path of the module
+   * @returns {Environment} Global environment of the module
+   */
+  #loadModule(pathToken, modulePath) {
+    let source;
+    try {
+      source = readFileSync(modulePath, "utf-8");
+    } catch (error) {
+      throw new RuntimeError(
+        pathToken,
+        `Can't read module '${displayPath(modulePath)}': ${error instanceof Error ? error.message : error}`,
+      );
+    }
+
+    const reporter = new Reporter(displayPath(modulePath));
+    const tokens = new Scanner(
+      source,
+      reporter,
+      displayPath(modulePath),
+    ).scanTokens();
+    const statements = new Parser(tokens, reporter).parse();
+    if (!reporter.hadError) {
+      new Resolver(this, reporter).resolve(...statements);
+    }
+    if (reporter.hadError) {
+      throw new RuntimeError(
+        pathToken,
+        `Failed to compile module '${displayPath(modulePath)}'.`,
+      );
+    }
+
+    const environment = new Environment();
+    this.#defineNatives(environment);
+
+    this.#loadingModules.push(modulePath);
+    try {
+      this.executeBlock(statements, environment);
+    } finally {
+      this.#loadingModules.pop();
+    }
+
+    this.#modules.set(modulePath, environment);
+    return environment;
+  }
+
+  /**
+   * @param {Match} stmt
+   * @returns {void}
+   */
+  visitMatch(stmt) {
+    const selected = this.#selectCase(stmt, this.#environment);
+    if (selected) {
+      const [matchCase, environment] = selected;
+      this.executeBlock([matchCase.body], environment);
+    }
+  }
+
+  /**
+   * Finds the first case of a match statement that matches its subject.
+   * @param {Match} stmt
+   * @param {Environment} environment Environment in which the statement runs
+   * @returns {[MatchCase, Environment] | undefined} The selected case and the
+   *    environment holding its pattern bindings, or `undefined` if no case
+   *    matches
+   */
+  #selectCase(stmt, environment) {
+    const subject = this.evaluateIn(stmt.subject, environment);
+
+    for (const matchCase of stmt.cases) {
+      // Each case gets a fresh environment for its pattern bindings.
+      const caseEnvironment = new Environment(environment);
+      if (
+        !matchCase.patterns.some((pattern) =>
+          this.#matchPattern(pattern, subject, environment, caseEnvironment),
+        )
+      ) {
+        continue;
+      }
+
+      if (
+        matchCase.guard &&
+        !isTruthy(this.evaluateIn(matchCase.guard, caseEnvironment))
+      ) {
+        continue;
+      }
+
+      return [matchCase, caseEnvironment];
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Checks whether a value matches a pattern, binding the variables of the
+   * pattern in the given environment.
+   * @param {Pattern} pattern
+   * @param {LoxValue} value
+   * @param {Environment} environment Environment in which the match statement
+   *    runs, used to look up the classes of class patterns
+   * @param {Environment} bindings Environment that receives the bindings
+   * @returns {boolean}
+   */
+  #matchPattern(pattern, value, environment, bindings) {
+    if (pattern instanceof LiteralPattern) {
+      return isEqual(pattern.value, value);
+    }
+
+    if (pattern instanceof WildcardPattern) {
+      return true;
+    }
+
+    if (pattern instanceof BindingPattern) {
+      bindings.define(pattern.name.lexeme, value);
+      return true;
+    }
+
+    const klass = this.evaluateIn(pattern.klass, environment);
+    if (!(klass instanceof LoxClass)) {
+      throw new RuntimeError(
+        pattern.klass.name,
+        "Class pattern must refer to a class.",
+      );
+    }
+
+    // The fields are matched in the order of the initializer parameters.
+    const fieldNames =
+      klass.findMethod("init")?.params.map((param) => param.name.lexeme) ?? [];
+    if (
+      pattern.fields.length > 0 &&
+      pattern.fields.length !== fieldNames.length
+    ) {
+      throw new RuntimeError(
+        pattern.paren,
+        `Expected ${fieldNames.length} field patterns for class '${klass.name}' but got ${pattern.fields.length}.`,
+      );
+    }
+
+    if (!(value instanceof LoxInstance && value.klass.isSubclassOf(klass))) {
+      return false;
+    }
+
+    return pattern.fields.every((field, i) => {
+      const fieldValue = value.getField(fieldNames[i]);
+      return (
+        fieldValue !== undefined &&
+        this.#matchPattern(field, fieldValue, environment, bindings)
+      );
+    });
+  }
+
   /**
    * @param {Print} stmt
    * @returns {void}
    */
   visitPrint(stmt) {
     const value = this.#evaluate(stmt.expression);
-    console.log(stringify(value));
+    console.log(this.stringify(value));
+  }
+
+  /**
+   * @param {Return} stmt
+   * @returns {void}
+   */
+  visitReturn(stmt) {
+    const value = stmt.value ? this.#evaluate(stmt.value) : null;
+    throw new ReturnValue(value);
+  }
+
+  /**
+   * @param {Throw} stmt
+   * @returns {void}
+   */
+  visitThrow(stmt) {
+    const value = this.#evaluate(stmt.value);
+
+    // Record where an Error instance was thrown, unless it was thrown before.
+    if (
+      value instanceof LoxInstance &&
+      value.klass === this.#errorClass &&
+      value.getField("line") === null
+    ) {
+      value.setField("line", stmt.keyword.line);
+    }
+
+    // If the value has a message (e.g. an Error instance), use it to report the
+    // error when it is not caught.
+    const message =
+      value instanceof LoxInstance &&
+      typeof value.getField("message") === "string"
+        ? String(value.getField("message"))
+        : `Uncaught exception: ${this.stringify(value)}`;
+    throw new RuntimeError(stmt.keyword, message, value);
+  }
+
+  /**
+   * @param {Trait} stmt
+   * @returns {void}
+   */
+  visitTrait(stmt) {
+    /** @type {Map<string, LoxFunction>} */
+    const methods = new Map();
+    for (const method of stmt.methods) {
+      methods.set(
+        method.name.lexeme,
+        new LoxFunction(method, this.#environment, false),
+      );
+    }
+
+    this.#environment.define(
+      stmt.name.lexeme,
+      new LoxTrait(stmt.name.lexeme, methods),
+    );
+  }
+
+  /**
+   * @param {Try} stmt
+   * @returns {void}
+   */
+  visitTry(stmt) {
+    try {
+      this.executeBlock(stmt.tryBlock, new Environment(this.#environment));
+    } catch (error) {
+      const [catchBlock, environment] = this.#catchError(
+        stmt,
+        error,
+        this.#environment,
+      );
+      this.executeBlock(catchBlock, environment);
+    } finally {
+      if (stmt.finallyBlock) {
+        this.executeBlock(
+          stmt.finallyBlock,
+          new Environment(this.#environment),
+        );
+      }
+    }
+  }
+  /**
+   * Handles an exception thrown by the try block of a try statement. Only Lox
+   * errors are caught. Other exceptions used for control flow (e.g.
+   * ReturnValue) are rethrown, so that return/break/continue statements inside
+   * the try block work as expected.
+   * @param {Try} stmt
+   * @param {unknown} error
+   * @param {Environment} environment Environment in which the statement runs
+   * @returns {[readonly Stmt[], Environment]} The catch block, and the
+   *    environment in which it runs with the caught error bound to its
+   *    parameter
+   */
+  #catchError(stmt, error, environment) {
+    if (!(error instanceof RuntimeError && stmt.catchBlock)) {
+      throw error;
+    }
+
+    const catchEnvironment = new Environment(environment);
+    if (stmt.catchParam) {
+      catchEnvironment.define(
+        stmt.catchParam.lexeme,
+        this.#errorToValue(error),
+      );
+    }
+    return [stmt.catchBlock, catchEnvironment];
+  }
+
+  /**
+   * Converts a caught error into the Lox value that the catch clause receives.
+   * @param {RuntimeError} error
+   * @returns {LoxValue}
+   */
+  #errorToValue(error) {
+    if (error.value !== undefined) {
+      return error.value;
+    }
+    return this.#errorClass.instantiate(error.message, error.token.line);
+  }
+
+  /**
+   * @param {DestructuringVar} stmt
+   */
+  visitDestructuringVar(stmt) {
+    const value = this.#evaluate(stmt.initializer);
+    this.#destructure(stmt.pattern, value, (target, element) => {
+      // The Parser only allows variables in declarations.
+      const { name } = /** @type {Variable} */ (target);
+      this.#environment.define(name.lexeme, element, stmt.constant);
+    });
+  }
+
+  /**
+   * @param {Var} stmt
+   */
+  visitVar(stmt) {
+    // A variable without an initializer expression is marked as uninitialized.
+    const value = stmt.initializer
+      ? this.#evaluate(stmt.initializer)
+      : undefined;
+    this.#environment.define(stmt.name.lexeme, value, stmt.constant);
+  }
+
+  /**
+   * @param {While} stmt
+   */
+  visitWhile(stmt) {
+    while (isTruthy(this.#evaluate(stmt.condition))) {
+      try {
+        this.#execute(stmt.body);
+      } catch (error) {
+        if (breaksLoop(error, stmt)) {
+          break;
+        }
+      }
+
+      if (stmt.increment) {
+        this.#evaluate(stmt.increment);
+      }
+    }
   }
 
   /**
-   * @param {Return} stmt
-   * @returns {void}
+   * @param {Yield} _stmt
    */
-  visitReturn(stmt) {
-    const value = stmt.value ? this.#evaluate(stmt.value) : null;
-    throw new ReturnValue(value);
+  visitYield(_stmt) {
+    // Yield statements are handled by executeBlockResumable(), and the
+    // Resolver rejects them outside generator functions.
+    throw new Error("Unexpected yield statement outside a generator.");
   }
 
   /**
-   * @param {Var} stmt
+   * Executes a block like {@linkcode executeBlock()}, but returns a JavaScript
+   * generator that suspends the execution at each yield statement and produces
+   * the yielded value. This is used to run the body of generator functions.
+   *
+   * The interpreter's current environment is restored whenever the execution
+   * is suspended, and the environments of the block are kept until it is
+   * resumed.
+   * @param {readonly Stmt[]} statements
+   * @param {Environment} environment
+   * @returns {Generator<LoxValue, void, undefined>}
    */
-  visitVar(stmt) {
-    // A variable without an initializer expression is marked as uninitialized.
-    const value = stmt.initializer
-      ? this.#evaluate(stmt.initializer)
-      : undefined;
-    this.#environment.define(stmt.name.lexeme, value);
+  *executeBlockResumable(statements, environment) {
+    for (const statement of statements) {
+      yield* this.#executeResumable(statement, environment);
+    }
   }
 
   /**
-   * @param {While} stmt
+   * Executes a statement in the given environment, suspending at each yield
+   * statement inside it.
+   * Only the statements that contain a yield statement need to be handled
+   * here. The others are executed normally.
+   * @param {Stmt} stmt
+   * @param {Environment} environment
+   * @returns {Generator<LoxValue, void, undefined>}
    */
-  visitWhile(stmt) {
-    while (isTruthy(this.#evaluate(stmt.condition))) {
-      this.#execute(stmt.body);
+  *#executeResumable(stmt, environment) {
+    if (!containsYield(stmt)) {
+      this.executeBlock([stmt], environment);
+    } else if (stmt instanceof Yield) {
+      yield stmt.value ? this.evaluateIn(stmt.value, environment) : null;
+    } else if (stmt instanceof Block) {
+      yield* this.executeBlockResumable(
+        stmt.statements,
+        new Environment(environment),
+      );
+    } else if (stmt instanceof If) {
+      if (isTruthy(this.evaluateIn(stmt.condition, environment))) {
+        yield* this.#executeResumable(stmt.thenBranch, environment);
+      } else if (stmt.elseBranch) {
+        yield* this.#executeResumable(stmt.elseBranch, environment);
+      }
+    } else if (stmt instanceof ForIn) {
+      const iterable = this.evaluateIn(stmt.iterable, environment);
+      for (const value of this.#iterate(stmt.keyword, iterable)) {
+        try {
+          yield* this.#executeResumable(
+            stmt.body,
+            this.#iterationEnvironment(stmt, value, environment),
+          );
+        } catch (error) {
+          if (breaksLoop(error, stmt)) {
+            break;
+          }
+        }
+      }
+    } else if (stmt instanceof While) {
+      while (isTruthy(this.evaluateIn(stmt.condition, environment))) {
+        try {
+          yield* this.#executeResumable(stmt.body, environment);
+        } catch (error) {
+          if (breaksLoop(error, stmt)) {
+            break;
+          }
+        }
+
+        if (stmt.increment) {
+          this.evaluateIn(stmt.increment, environment);
+        }
+      }
+    } else if (stmt instanceof Match) {
+      const selected = this.#selectCase(stmt, environment);
+      if (selected) {
+        const [matchCase, caseEnvironment] = selected;
+        yield* this.#executeResumable(matchCase.body, caseEnvironment);
+      }
+    } else if (stmt instanceof Try) {
+      try {
+        yield* this.executeBlockResumable(
+          stmt.tryBlock,
+          new Environment(environment),
+        );
+      } catch (error) {
+        const [catchBlock, catchEnvironment] = this.#catchError(
+          stmt,
+          error,
+          environment,
+        );
+        yield* this.executeBlockResumable(catchBlock, catchEnvironment);
+      } finally {
+        if (stmt.finallyBlock) {
+          yield* this.executeBlockResumable(
+            stmt.finallyBlock,
+            new Environment(environment),
+          );
+        }
+      }
+    } else {
+      // Unreachable, since containsYield() only finds yield statements in the
+      // statements handled above.
+      throw new Error(
+        `Unexpected statement containing a yield: ${stmt.constructor.name}`,
+      );
     }
   }
 
@@ -257,15 +1202,23 @@ export class Interpreter {
    */
   visitAssign(expr) {
     const value = this.#evaluate(expr.value);
+    this.#assignVariable(expr.name, expr, value);
+    return value;
+  }
 
+  /**
+   * Assigns a value to the variable that the given expression resolves to.
+   * @param {Token} name
+   * @param {Assign | Variable} expr
+   * @param {LoxValue} value
+   */
+  #assignVariable(name, expr, value) {
     const distance = this.#locals.get(expr);
     if (distance !== undefined) {
-      this.#environment.assignAt(distance, expr.name, value);
+      this.#environment.assignAt(distance, name, value);
     } else {
-      this.#globals.assign(expr.name, value);
+      this.#environment.globals().assign(name, value);
     }
-
-    return value;
   }
 
   /**
@@ -275,22 +1228,106 @@ export class Interpreter {
   visitBinary(expr) {
     const left = this.#evaluate(expr.left);
     const right = this.#evaluate(expr.right);
+    return this.#binaryOperation(
+      expr.operator,
+      expr.operator.type,
+      left,
+      right,
+    );
+  }
 
-    switch (expr.operator.type) {
+  /**
+   * Calls the method that the class of an instance defines to overload an
+   * operator, such as `__add` for `+`.
+   * @param {Token} token Token used to report errors
+   * @param {LoxInstance} instance
+   * @param {string} name Method name
+   * @param {readonly LoxValue[]} args
+   * @returns {LoxValue}
+   */
+  #callOperatorMethod(token, instance, name, args) {
+    const method = instance.klass.findMethod(name);
+    if (!method) {
+      throw new RuntimeError(
+        token,
+        `Class '${instance.klass.name}' does not define the operator method '${name}'.`,
+      );
+    }
+    return this.callValue(token, method.bindTo(instance), args);
+  }
+
+  /**
+   * Applies a binary operator that is overloaded by the class of an operand.
+   * The method of the left operand is called if it is an instance. Otherwise,
+   * the reflected method of the right operand is called with the left operand.
+   * @param {Token} operator Token used to report errors
+   * @param {TokenType} type Type of the operator to apply
+   * @param {LoxValue} left
+   * @param {LoxValue} right
+   * @returns {LoxValue | undefined} The result, or `undefined` if neither
+   *    operand overloads the operator
+   */
+  #overloadedOperation(operator, type, left, right) {
+    const [instance, other, methodName] =
+      left instanceof LoxInstance
+        ? [left, right, BINARY_OPERATOR_METHODS[type]]
+        : [right, left, REFLECTED_OPERATOR_METHODS[type]];
+    if (!(instance instanceof LoxInstance) || !methodName) {
+      return undefined;
+    }
+
+    const isEquality = type === "EQUAL_EQUAL" || type === "BANG_EQUAL";
+    // Without an `__eq` method, instances are compared by identity.
+    if (isEquality && !instance.klass.findMethod(methodName)) {
+      return undefined;
+    }
+
+    const result = this.#callOperatorMethod(operator, instance, methodName, [
+      other,
+    ]);
+    if (isEquality) {
+      return isTruthy(result) === (type === "EQUAL_EQUAL");
+    }
+    return result;
+  }
+
+  /**
+   * Applies a binary operator to two operands.
+   * @param {Token} operator Token used to report errors
+   * @param {TokenType} type Type of the operator to apply. This may differ from
+   *    the type of {@linkcode operator} (e.g. PLUS for a PLUS_EQUAL token).
+   * @param {LoxValue} left
+   * @param {LoxValue} right
+   * @returns {LoxValue}
+   */
+  #binaryOperation(operator, type, left, right) {
+    const overloaded = this.#overloadedOperation(operator, type, left, right);
+    if (overloaded !== undefined) {
+      return overloaded;
+    }
+
+    if (
+      (typeof left === "bigint" || typeof right === "bigint") &&
+      BIGINT_OPERATORS.has(type)
+    ) {
+      return bigIntOperation(operator, type, left, right);
+    }
+
+    switch (type) {
       case "LESS": {
-        const [l, r] = checkNumberOperands(expr.operator, left, right);
+        const [l, r] = checkNumberOperands(operator, left, right);
         return l < r;
       }
       case "LESS_EQUAL": {
-        const [l, r] = checkNumberOperands(expr.operator, left, right);
+        const [l, r] = checkNumberOperands(operator, left, right);
         return l <= r;
       }
       case "GREATER": {
-        const [l, r] = checkNumberOperands(expr.operator, left, right);
+        const [l, r] = checkNumberOperands(operator, left, right);
         return l > r;
       }
       case "GREATER_EQUAL": {
-        const [l, r] = checkNumberOperands(expr.operator, left, right);
+        const [l, r] = checkNumberOperands(operator, left, right);
         return l >= r;
       }
       case "BANG_EQUAL":
@@ -298,7 +1335,7 @@ export class Interpreter {
       case "EQUAL_EQUAL":
         return isEqual(left, right);
       case "MINUS": {
-        const [l, r] = checkNumberOperands(expr.operator, left, right);
+        const [l, r] = checkNumberOperands(operator, left, right);
         return l - r;
       }
       case "PLUS":
@@ -309,24 +1346,60 @@ export class Interpreter {
           return left + right;
         }
         throw new RuntimeError(
-          expr.operator,
+          operator,
           "Operands must be two numbers or two strings.",
         );
       case "STAR": {
-        const [l, r] = checkNumberOperands(expr.operator, left, right);
+        const [l, r] = checkNumberOperands(operator, left, right);
         return l * r;
       }
       case "SLASH": {
-        const [l, r] = checkNumberOperands(expr.operator, left, right);
+        const [l, r] = checkNumberOperands(operator, left, right);
         return l / r;
       }
+      case "TILDE_SLASH": {
+        const [l, r] = checkNumberOperands(operator, left, right);
+        return Math.floor(l / r);
+      }
+      case "PERCENT": {
+        const [l, r] = checkNumberOperands(operator, left, right);
+        return l % r;
+      }
+      case "STAR_STAR": {
+        const [l, r] = checkNumberOperands(operator, left, right);
+        return l ** r;
+      }
+      case "AMPERSAND": {
+        const [l, r] = checkIntegerOperands(operator, left, right);
+        return l & r;
+      }
+      case "PIPE": {
+        const [l, r] = checkIntegerOperands(operator, left, right);
+        return l | r;
+      }
+      case "CARET": {
+        const [l, r] = checkIntegerOperands(operator, left, right);
+        return l ^ r;
+      }
+      case "LESS_LESS": {
+        const [l, r] = checkIntegerOperands(operator, left, right);
+        return l << r;
+      }
+      case "GREATER_GREATER": {
+        const [l, r] = checkIntegerOperands(operator, left, right);
+        return l >> r;
+      }
+      case "DOT_DOT": {
+        const [l, r] = checkIntegerOperands(operator, left, right);
+        return new LoxRange(l, r);
+      }
       case "COMMA": {
         return right;
       }
     }
 
     // Unreachable
-    throw new Error(`Unexpected binary operator: ${expr.operator.type}`);
+    throw new Error(`Unexpected binary operator: ${type}`);
   }
 
   /**
@@ -338,21 +1411,122 @@ export class Interpreter {
 
     const args = expr.args.map((expr) => this.#evaluate(expr));
 
-    if (!(callee instanceof Callable)) {
-      throw new RuntimeError(
-        expr.paren,
-        "Can only call functions and classes.",
-      );
+    return this.callValue(expr.paren, callee, args);
+  }
+
+  /**
+   * @param {CompoundAssign} expr
+   * @returns {LoxValue}
+   */
+  visitCompoundAssign(expr) {
+    const operator = expr.operator;
+    return this.#updateTarget(expr.target, (current) =>
+      this.#binaryOperation(
+        operator,
+        COMPOUND_OPERATORS[operator.type],
+        current,
+        this.#evaluate(expr.value),
+      ),
+    );
+  }
+
+  /**
+   * @param {DestructuringAssign} expr
+   * @returns {LoxValue}
+   */
+  visitDestructuringAssign(expr) {
+    const value = this.#evaluate(expr.value);
+    this.#destructure(expr.pattern, value, (target, element) =>
+      this.#assignTarget(target, element),
+    );
+    return value;
+  }
+
+  /**
+   * Unpacks a value according to a destructuring pattern.
+   * @param {DestructuringPattern} pattern
+   * @param {LoxValue} value
+   * @param {(target: UpdateTarget, value: LoxValue) => void} store Stores the
+   *    value of each target of the pattern
+   */
+  #destructure(pattern, value, store) {
+    /** @type {[Token, DestructuringElement, LoxValue | undefined][]} */
+    let parts;
+
+    if (pattern instanceof ListDestructuring) {
+      if (!(value instanceof LoxList)) {
+        throw new RuntimeError(
+          pattern.bracket,
+          "Only lists can be destructured by position.",
+        );
+      }
+      parts = pattern.elements.map((element, i) => [
+        pattern.bracket,
+        element,
+        value.elements[i],
+      ]);
+    } else {
+      if (!(value instanceof LoxInstance)) {
+        throw new RuntimeError(
+          pattern.brace,
+          "Only instances can be destructured by field name.",
+        );
+      }
+      parts = pattern.fields.map(([field, element]) => [
+        field,
+        element,
+        value.getField(field.lexeme),
+      ]);
     }
 
-    if (args.length !== callee.arity()) {
-      throw new RuntimeError(
-        expr.paren,
-        `Expected ${callee.arity()} arguments but got ${args.length}.`,
+    for (const [token, { target, defaultValue }, part] of parts) {
+      let partValue = part;
+      if (partValue === undefined) {
+        if (!defaultValue) {
+          throw new RuntimeError(
+            token,
+            token.type === "IDENTIFIER"
+              ? `Undefined field '${token.lexeme}'.`
+              : "Not enough elements to destructure.",
+          );
+        }
+        partValue = this.#evaluate(defaultValue);
+      }
+
+      if (isDestructuringPattern(target)) {
+        this.#destructure(target, partValue, store);
+      } else {
+        store(target, partValue);
+      }
+    }
+  }
+
+  /**
+   * Stores a value in a variable, property or indexed element.
+   * @param {UpdateTarget} target
+   * @param {LoxValue} value
+   */
+  #assignTarget(target, value) {
+    if (target instanceof GetExpr) {
+      const object = checkHasFields(target.name, this.#evaluate(target.object));
+      object.set(target.name, value);
+    } else if (target instanceof IndexGetExpr) {
+      const object = checkIndexable(
+        target.bracket,
+        this.#evaluate(target.object),
       );
+      object.setAt(target.bracket, this.#evaluate(target.index), value);
+    } else {
+      this.#assignVariable(target.name, target, value);
     }
+  }
 
-    return callee.call(this, args);
+  /**
+   * @param {FunctionExpr} expr
+   * @returns {LoxValue}
+   */
+  visitFunctionExpr(expr) {
+    return new LoxFunction(expr, this.#environment, false);
   }
 
   /**
@@ -361,10 +1535,10 @@ export class Interpreter {
    */
   visitGetExpr(expr) {
     const object = this.#evaluate(expr.object);
-    if (!(object instanceof LoxInstance)) {
-      throw new RuntimeError(expr.name, "Only instances have properties.");
+    if (expr.optional && object === null) {
+      throw new ShortCircuitSignal();
     }
-    return object.get(expr.name);
+    return getProperty(object, expr.name);
   }
 
   /**
@@ -375,6 +1549,52 @@ export class Interpreter {
     return this.#evaluate(expr.expression);
   }
 
+  /**
+   * @param {IndexGetExpr} expr
+   * @returns {LoxValue}
+   */
+  visitIndexGetExpr(expr) {
+    const object = this.#evaluate(expr.object);
+    if (expr.optional && object === null) {
+      throw new ShortCircuitSignal();
+    }
+    const index = this.#evaluate(expr.index);
+    if (object instanceof LoxInstance) {
+      return this.#callOperatorMethod(expr.bracket, object, "__index", [index]);
+    }
+    return checkIndexable(expr.bracket, object).getAt(expr.bracket, index);
+  }
+
+  /**
+   * @param {IndexSetExpr} expr
+   * @returns {LoxValue}
+   */
+  visitIndexSetExpr(expr) {
+    const object = checkIndexable(expr.bracket, this.#evaluate(expr.object));
+    const index = this.#evaluate(expr.index);
+    const value = this.#evaluate(expr.value);
+    object.setAt(expr.bracket, index, value);
+    return value;
+  }
+
+  /**
+   * @param {Interpolation} expr
+   * @returns {LoxValue}
+   */
+  visitInterpolation(expr) {
+    return expr.parts
+      .map((part) => this.stringify(this.#evaluate(part)))
+      .join("");
+  }
+
+  /**
+   * @param {ListExpr} expr
+   * @returns {LoxValue}
+   */
+  visitListExpr(expr) {
+    return new LoxList(expr.elements.map((element) => this.#evaluate(element)));
+  }
+
   /**
    * @param {Literal} expr
    * @returns {LoxValue}
@@ -396,11 +1616,43 @@ export class Interpreter {
     if (expr.operator.type === "AND") {
       return !isTruthy(left) ? left : this.#evaluate(expr.right);
     }
+    if (expr.operator.type === "QUESTION_QUESTION") {
+      return left !== null ? left : this.#evaluate(expr.right);
+    }
 
     // Unreachable
     throw new Error(`Unexpected logical operator: ${expr.operator.type}`);
   }
 
+  /**
+   * @param {MapExpr} expr
+   * @returns {LoxValue}
+   */
+  visitMapExpr(expr) {
+    /** @type {Map<LoxValue, LoxValue>} */
+    const entries = new Map();
+    for (const [keyExpr, valueExpr] of expr.entries) {
+      const key = this.#evaluate(keyExpr);
+      entries.set(key, this.#evaluate(valueExpr));
+    }
+    return new LoxMap(entries);
+  }
+
+  /**
+   * @param {OptionalChain} expr
+   * @returns {LoxValue}
+   */
+  visitOptionalChain(expr) {
+    try {
+      return this.#evaluate(expr.expression);
+    } catch (error) {
+      if (error instanceof ShortCircuitSignal) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
   /**
    * @param {SetExpr} expr
    * @returns {LoxValue}
@@ -409,19 +1661,53 @@ export class Interpreter {
     // Evaluate the left-hand expression.
     const object = this.#evaluate(expr.object);
 
-    // Ensure that the l-value is a class instance.
-    if (!(object instanceof LoxInstance)) {
-      throw new RuntimeError(expr.name, "Only instances have fields.");
-    }
+    // Ensure that the l-value is a class instance or a class.
+    const target = checkHasFields(expr.name, object);
 
     // Evaluate the right-hand expression.
     // Note: This must be performed after evaluating the left-hand expression,
     // because it may otherwise affect the evaluation of the l-value.
     const value = this.#evaluate(expr.value);
-    object.set(expr.name, value);
+    target.set(expr.name, value);
     return value;
   }
 
+  /**
+   * @param {Super} expr
+   * @returns {LoxValue}
+   */
+  visitSuper(expr) {
+    const distance = this.#locals.get(expr);
+    if (distance === undefined) {
+      // This should never happen if the Resolver works correctly.
+      throw new Error("Super expression was not resolved.");
+    }
+
+    const superclass = this.#environment.getAt(distance, "super");
+    if (!(superclass instanceof LoxClass)) {
+      // This should never happen if the Resolver works correctly.
+      throw new Error("'super' is not bound to a class.");
+    }
+
+    // The environment binding `this` is always just inside the environment
+    // binding `super`.
+    const object = this.#environment.getAt(distance - 1, "this");
+    if (!(object instanceof LoxInstance)) {
+      // This should never happen if the Resolver works correctly.
+      throw new Error("'this' is not bound to an instance.");
+    }
+
+    const method = superclass.findMethod(expr.method.lexeme);
+    if (!method) {
+      throw new RuntimeError(
+        expr.method,
+        `Undefined property '${expr.method.lexeme}'.`,
+      );
+    }
+
+    return method.bindTo(object);
+  }
+
   /**
    * @param {Unary} expr
    * @returns {LoxValue}
@@ -431,16 +1717,79 @@ export class Interpreter {
 
     switch (expr.operator.type) {
       case "MINUS":
+        if (right instanceof LoxInstance) {
+          return this.#callOperatorMethod(expr.operator, right, "__neg", []);
+        }
+        if (typeof right === "bigint") {
+          return -right;
+        }
         checkNumberOperand(expr.operator, right);
         return -right;
       case "BANG":
         return !isTruthy(right);
+      case "TILDE":
+        if (typeof right === "bigint") {
+          return ~right;
+        }
+        checkIntegerOperand(expr.operator, right);
+        return ~right;
     }
 
     // Unreachable
     throw new Error(`Unexpected unary operator: ${expr.operator.type}`);
   }
 
+  /**
+   * @param {Update} expr
+   * @returns {LoxValue}
+   */
+  visitUpdate(expr) {
+    const delta = expr.operator.type === "PLUS_PLUS" ? 1 : -1;
+    /** @type {LoxValue} */
+    let oldValue = 0;
+    const newValue = this.#updateTarget(expr.target, (current) => {
+      oldValue = current;
+      if (typeof current === "bigint") {
+        return current + BigInt(delta);
+      }
+      checkNumberOperand(expr.operator, current);
+      return current + delta;
+    });
+    return expr.prefix ? newValue : oldValue;
+  }
+
+  /**
+   * Reads the value stored in a variable, property or index, computes a new
+   * value from it and stores the new value in the same place.
+   * The object and index expressions of the target are evaluated only once.
+   * @param {UpdateTarget} target
+   * @param {(current: LoxValue) => LoxValue} compute Computes the new value
+   * @returns {LoxValue} The new value
+   */
+  #updateTarget(target, compute) {
+    if (target instanceof GetExpr) {
+      const object = this.#evaluate(target.object);
+      const value = compute(getProperty(object, target.name));
+      checkHasFields(target.name, object).set(target.name, value);
+      return value;
+    }
+
+    if (target instanceof IndexGetExpr) {
+      const object = checkIndexable(
+        target.bracket,
+        this.#evaluate(target.object),
+      );
+      const index = this.#evaluate(target.index);
+      const value = compute(object.getAt(target.bracket, index));
+      object.setAt(target.bracket, index, value);
+      return value;
+    }
+
+    const value = compute(this.#lookupVariable(target.name, target));
+    this.#assignVariable(target.name, target, value);
+    return value;
+  }
+
   /**
    * @param {Ternary} expr
    * @returns {LoxValue}
@@ -476,10 +1825,21 @@ export class Interpreter {
     if (distance !== undefined) {
       return this.#environment.getAt(distance, name.lexeme);
     }
-    return this.#globals.get(name);
+    // Each module has its own global environment, so we look up the global
+    // environment of the code being executed.
+    return this.#environment.globals().get(name);
   }
 }
 
+/**
+ * Formats the path of a module for use in messages.
+ * @param {string} modulePath Absolute path of the module
+ * @returns {string} Path relative to the current working directory
+ */
+function displayPath(modulePath) {
+  return path.relative(process.cwd(), modulePath);
+}
+
 /**
  * Checks if the operand is a number. Throws a RuntimeError if not.
  * @param {Token} operator
@@ -509,6 +1869,141 @@ function checkNumberOperands(operator, left, right) {
   return [left, right];
 }
 
+/**
+ * Checks if the operand is an integer. Throws a RuntimeError if not.
+ * @param {Token} operator
+ * @param {LoxValue} operand
+ * @returns {asserts operand is number}
+ */
+function checkIntegerOperand(operator, operand) {
+  if (!Number.isInteger(operand)) {
+    throw new RuntimeError(operator, "Operand must be an integer.");
+  }
+}
+
+/**
+ * Checks if the operands are integers. Throws a RuntimeError if not.
+ * @param {Token} operator
+ * @param {LoxValue} left
+ * @param {LoxValue} right
+ * @returns {[left: number, right: number]} Values of the left and right operands
+ */
+function checkIntegerOperands(operator, left, right) {
+  if (!Number.isInteger(left) || !Number.isInteger(right)) {
+    throw new RuntimeError(operator, "Operands must be integers.");
+  }
+  return [Number(left), Number(right)];
+}
+
+/**
+ * Handles an exception thrown by the body of a loop. An unlabeled
+ * break/continue targets the innermost loop, while a labeled one unwinds until
+ * it reaches the loop with the same label. Other exceptions are rethrown.
+ * @param {unknown} error
+ * @param {ForIn | While} loop
+ * @returns {boolean} `true` if the loop must stop, or `false` if it continues
+ *    with the next iteration
+ */
+function breaksLoop(error, loop) {
+  if (
+    !(error instanceof BreakSignal || error instanceof ContinueSignal) ||
+    (error.label !== undefined && error.label !== loop.label?.lexeme)
+  ) {
+    throw error;
+  }
+  return error instanceof BreakSignal;
+}
+
+/**
+ * Statements that are or contain a yield statement, cached by
+ * {@linkcode containsYield()}.
+ * @type {WeakMap<Stmt, boolean>}
+ */
+const yieldingStatements = new WeakMap();
+
+/**
+ * Checks whether a statement is or contains a yield statement, not counting
+ * the bodies of nested functions. Only these statements need to be executed
+ * in a way that can be suspended.
+ * @param {Stmt} stmt
+ * @returns {boolean}
+ */
+function containsYield(stmt) {
+  let result = yieldingStatements.get(stmt);
+  if (result === undefined) {
+    /** @type {readonly (Stmt | undefined)[]} */
+    let children = [];
+    if (stmt instanceof Block) {
+      children = stmt.statements;
+    } else if (stmt instanceof If) {
+      children = [stmt.thenBranch, stmt.elseBranch];
+    } else if (stmt instanceof ForIn || stmt instanceof While) {
+      children = [stmt.body];
+    } else if (stmt instanceof Match) {
+      children = stmt.cases.map((matchCase) => matchCase.body);
+    } else if (stmt instanceof Try) {
+      children = [
+        ...stmt.tryBlock,
+        ...(stmt.catchBlock ?? []),
+        ...(stmt.finallyBlock ?? []),
+      ];
+    }
+    result =
+      stmt instanceof Yield ||
+      children.some((child) => child !== undefined && containsYield(child));
+    yieldingStatements.set(stmt, result);
+  }
+  return result;
+}
+
+/**
+ * Reads a property of an object. Throws a RuntimeError if the object does not
+ * have properties.
+ * @param {LoxValue} object
+ * @param {Token} name Property name
+ * @returns {LoxValue}
+ */
+function getProperty(object, name) {
+  if (
+    !(
+      object instanceof LoxInstance ||
+      object instanceof LoxClass ||
+      object instanceof LoxList ||
+      object instanceof LoxMap ||
+      object instanceof LoxGenerator
+    )
+  ) {
+    throw new RuntimeError(name, "Only instances have properties.");
+  }
+  return object.get(name);
+}
+
+/**
+ * Checks if fields can be set on the object. Throws a RuntimeError if not.
+ * @param {Token} name Field name
+ * @param {LoxValue} object
+ * @returns {LoxInstance | LoxClass}
+ */
+function checkHasFields(name, object) {
+  if (!(object instanceof LoxInstance || object instanceof LoxClass)) {
+    throw new RuntimeError(name, "Only instances have fields.");
+  }
+  return object;
+}
+
+/**
+ * Checks if the object can be indexed. Throws a RuntimeError if not.
+ * @param {Token} bracket
+ * @param {LoxValue} object
+ * @returns {LoxList | LoxMap}
+ */
+function checkIndexable(bracket, object) {
+  if (!(object instanceof LoxList || object instanceof LoxMap)) {
+    throw new RuntimeError(bracket, "Only lists and maps can be indexed.");
+  }
+  return object;
+}
+
 /**
  * Checks the truthiness of a Lox value. Everything except `false` and `nil` is
  * considered truthy.
@@ -528,12 +2023,3 @@ function isTruthy(value) {
 function isEqual(left, right) {
   return left === right || (Number.isNaN(left) && Number.isNaN(right));
 }
-
-/**
- * @param {LoxValue} value
- * @returns {string}
- */
-function stringify(value) {
-  if (value === null) return "nil";
-  return String(value);
-}
@@ -0,0 +1,142 @@
+/**
+ * @import { Token } from "./token.js";
+ * @import { LoxValue } from "./value.js";
+ */
+
+import { NativeFunction } from "./native-function.js";
+import { RuntimeError } from "./runtime-error.js";
+
+/**
+ * Represents the runtime value of a Lox list.
+ */
+export class LoxList {
+  /**
+   * @param {LoxValue[]} elements
+   */
+  constructor(elements) {
+    /** @readonly */
+    this.elements = elements;
+  }
+
+  /**
+   * Returns the element at the given index.
+   * @param {Token} bracket Token used to report errors
+   * @param {LoxValue} index
+   * @returns {LoxValue}
+   * @throws {RuntimeError} If the index is not valid for this list
+   */
+  getAt(bracket, index) {
+    return this.elements[this.#checkIndex(bracket, index)];
+  }
+
+  /**
+   * Replaces the element at the given index.
+   * @param {Token} bracket Token used to report errors
+   * @param {LoxValue} index
+   * @param {LoxValue} value
+   * @throws {RuntimeError} If the index is not valid for this list
+   */
+  setAt(bracket, index, value) {
+    this.elements[this.#checkIndex(bracket, index)] = value;
+  }
+
+  /**
+   * @param {Token} bracket
+   * @param {LoxValue} index
+   * @returns {number}
+   */
+  #checkIndex(bracket, index) {
+    if (typeof index !== "number" || !Number.isInteger(index)) {
+      throw new RuntimeError(bracket, "List index must be an integer.");
+    }
+    if (index < 0 || index >= this.elements.length) {
+      throw new RuntimeError(
+        bracket,
+        `List index ${index} out of range for list of length ${this.elements.length}.`,
+      );
+    }
+    return index;
+  }
+
+  /**
+   * Returns a built-in method of the list, bound to this list.
+   * @param {Token} name Method name
+   * @returns {NativeFunction}
+   * @throws {RuntimeError} If the method does not exist
+   */
+  get(name) {
+    const elements = this.elements;
+
+    switch (name.lexeme) {
+      case "length":
+        return new NativeFunction("length", 0, () => elements.length);
+      case "push":
+        return new NativeFunction("push", 1, (_interpreter, [value]) => {
+          elements.push(value);
+          return null;
+        });
+      case "pop":
+        return new NativeFunction("pop", 0, () => {
+          const value = elements.pop();
+          if (value === undefined) {
+            throw new RuntimeError(name, "Can't pop from an empty list.");
+          }
+          return value;
+        });
+      case "slice":
+        return new NativeFunction("slice", 2, (_interpreter, [start, end]) => {
+          if (!Number.isInteger(start) || !Number.isInteger(end)) {
+            throw new RuntimeError(name, "Slice bounds must be integers.");
+          }
+          return new LoxList(elements.slice(Number(start), Number(end)));
+        });
+      case "map":
+        return new NativeFunction("map", 1, (interpreter, [fn]) => {
+          return new LoxList(
+            elements.map((value) => interpreter.callValue(name, fn, [value])),
+          );
+        });
+      case "filter":
+        return new NativeFunction("filter", 1, (interpreter, [fn]) => {
+          return new LoxList(
+            elements.filter((value) =>
+              interpreter.isTruthy(interpreter.callValue(name, fn, [value])),
+            ),
+          );
+        });
+      case "reduce":
+        return new NativeFunction("reduce", 2, (interpreter, [fn, initial]) => {
+          let accumulator = initial;
+          for (const value of elements) {
+            accumulator = interpreter.callValue(name, fn, [accumulator, value]);
+          }
+          return accumulator;
+        });
+      case "sort":
+        return new NativeFunction("sort", 0, () => {
+          if (elements.every((value) => typeof value === "number")) {
+            elements.sort((a, b) => Number(a) - Number(b));
+          } else if (elements.every((value) => typeof value === "string")) {
+            elements.sort();
+          } else {
+            throw new RuntimeError(
+              name,
+              "Can only sort a list of numbers or a list of strings.",
+            );
+          }
+          return this;
+        });
+      case "join":
+        return new NativeFunction("join", 1, (interpreter, [separator]) => {
+          if (typeof separator !== "string") {
+            throw new RuntimeError(name, "Separator must be a string.");
+          }
+          return elements
+            .map((value) => interpreter.stringify(value))
+            .join(separator);
+        });
+    }
+
+    throw new RuntimeError(name, `Undefined property '${name.lexeme}'.`);
+  }
+}
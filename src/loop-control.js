@@ -0,0 +1,31 @@
+/**
+ * Helper exception class that represents a break statement unwinding the
+ * stack up to the enclosing loop.
+ */
+export class BreakSignal extends Error {
+  /**
+   * @param {string=} label Label of the loop to break out of, or `undefined`
+   *    to break out of the innermost loop
+   */
+  constructor(label) {
+    super();
+    /** @readonly */
+    this.label = label;
+  }
+}
+
+/**
+ * Helper exception class that represents a continue statement unwinding the
+ * stack up to the enclosing loop.
+ */
+export class ContinueSignal extends Error {
+  /**
+   * @param {string=} label Label of the loop to continue, or `undefined` to
+   *    continue the innermost loop
+   */
+  constructor(label) {
+    super();
+    /** @readonly */
+    this.label = label;
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * @import { Token } from "./token.js";
+ * @import { LoxValue } from "./value.js";
+ */
+
+import { LoxList } from "./list.js";
+import { NativeFunction } from "./native-function.js";
+import { RuntimeError } from "./runtime-error.js";
+
+/**
+ * Represents the runtime value of a Lox map.
+ *
+ * Keys are compared with the same rules as the `==` operator: numbers and
+ * strings by value (NaN is equal to itself), everything else by identity.
+ * This is exactly the SameValueZero algorithm used by JavaScript's `Map`.
+ */
+export class LoxMap {
+  /**
+   * @param {Map<LoxValue, LoxValue>} entries
+   */
+  constructor(entries) {
+    /** @readonly */
+    this.entries = entries;
+  }
+
+  /**
+   * Returns the value associated with the given key.
+   * @param {Token} bracket Token used to report errors
+   * @param {LoxValue} key
+   * @returns {LoxValue}
+   * @throws {RuntimeError} If the key does not exist in the map
+   */
+  getAt(bracket, key) {
+    const value = this.entries.get(key);
+    if (value === undefined) {
+      throw new RuntimeError(bracket, "Key not found in map.");
+    }
+    return value;
+  }
+
+  /**
+   * Associates the value with the given key, adding the key if needed.
+   * @param {Token} _bracket
+   * @param {LoxValue} key
+   * @param {LoxValue} value
+   */
+  setAt(_bracket, key, value) {
+    this.entries.set(key, value);
+  }
+
+  /**
+   * Returns a built-in method of the map, bound to this map.
+   * @param {Token} name Method name
+   * @returns {NativeFunction}
+   * @throws {RuntimeError} If the method does not exist
+   */
+  get(name) {
+    const entries = this.entries;
+
+    switch (name.lexeme) {
+      case "has":
+        return new NativeFunction("has", 1, (_interpreter, [key]) =>
+          entries.has(key),
+        );
+      case "remove":
+        return new NativeFunction("remove", 1, (_interpreter, [key]) =>
+          entries.delete(key),
+        );
+      case "keys":
+        return new NativeFunction(
+          "keys",
+          0,
+          () => new LoxList([...entries.keys()]),
+        );
+      case "values":
+        return new NativeFunction(
+          "values",
+          0,
+          () => new LoxList([...entries.values()]),
+        );
+      case "size":
+        return new NativeFunction("size", 0, () => entries.size);
+    }
+
+    throw new RuntimeError(name, `Undefined property '${name.lexeme}'.`);
+  }
+}
@@ -0,0 +1,64 @@
+/**
+ * @import { Arity } from "./callable.js";
+ * @import { Interpreter } from "./interpreter.js";
+ * @import { Token } from "./token.js";
+ * @import { LoxValue } from "./value.js";
+ */
+
+import { Callable } from "./callable.js";
+
+/**
+ * @callback NativeImplementation
+ * @param {Interpreter} interpreter
+ * @param {readonly LoxValue[]} args
+ * @param {Token} token Token of the call expression, used to report errors
+ * @returns {LoxValue}
+ */
+
+/**
+ * Callable object implemented in JavaScript, such as the built-in methods of
+ * lists and the number conversion functions.
+ */
+export class NativeFunction extends Callable {
+  /** @readonly */
+  #name;
+  /** @readonly */
+  #arity;
+  /** @readonly */
+  #implementation;
+
+  /**
+   * @param {string} name
+   * @param {number} arity
+   * @param {NativeImplementation} implementation
+   */
+  constructor(name, arity, implementation) {
+    super();
+    this.#name = name;
+    this.#arity = arity;
+    this.#implementation = implementation;
+  }
+
+  /**
+   * @override
+   * @param {Interpreter} interpreter
+   * @param {readonly LoxValue[]} args
+   * @param {Token} token
+   * @returns {LoxValue}
+   */
+  call(interpreter, args, token) {
+    return this.#implementation(interpreter, args, token);
+  }
+
+  /**
+   * @override
+   * @returns {Arity}
+   */
+  arity() {
+    return { min: this.#arity, max: this.#arity };
+  }
+
+  toString() {
+    return `<native fn ${this.#name}>`;
+  }
+}
@@ -1,34 +1,70 @@
-/** @import { Expr } from './expression.js' */
+/** @import { DestructuringPattern } from './destructuring.js' */
+/** @import { Expr, UpdateTarget } from './expression.js' */
+/** @import { Pattern } from './pattern.js' */
 /** @import { Reporter } from './reporter.js' */
 /** @import { Token } from './token.js'; */
 /** @import { TokenType } from './token-type.js' */
 
 import { FUNCTION_MAX_ARGS } from "./constants.js";
+import {
+  DestructuringElement,
+  ListDestructuring,
+  ObjectDestructuring,
+} from "./destructuring.js";
 import {
   Assign,
   Binary,
   Call,
+  CompoundAssign,
+  DestructuringAssign,
+  FunctionExpr,
   GetExpr,
   Grouping,
+  IndexGetExpr,
+  IndexSetExpr,
+  Interpolation,
+  ListExpr,
   Literal,
   Logical,
+  MapExpr,
+  OptionalChain,
   SetExpr,
+  Super,
   Ternary,
   This,
   Unary,
+  Update,
   Variable,
 } from "./expression.js";
+import {
+  BindingPattern,
+  ClassPattern,
+  LiteralPattern,
+  WildcardPattern,
+} from "./pattern.js";
 import {
   Block,
+  Break,
   Class,
+  Continue,
+  DestructuringVar,
   Expression,
+  ForIn,
   FunctionDecl,
   If,
+  Import,
+  Match,
+  MatchCase,
+  Parameter,
   Print,
   Return,
   Stmt,
+  Throw,
+  Trait,
+  Try,
   Var,
   While,
+  Yield,
 } from "./statement.js";
 
 export class Parser {
@@ -39,6 +75,21 @@ export class Parser {
   /** @readonly */
   #reporter;
 
+  /**
+   * Index of the closing bracket (`)`, `]` or `}`) that matches each opening
+   * bracket, by the index of the opening bracket.
+   * @readonly
+   * @type {ReadonlyMap<number, number>}
+   */
+  #closingBrackets;
+
+  /**
+   * Index of the `=>` token that ends the guard of the match case being
+   * parsed, or `undefined` outside case guards.
+   * @type {number | undefined}
+   */
+  #guardArrow;
+
   /**
    * @param {readonly Token[]} tokens
    * @param {Reporter} reporter
@@ -46,6 +97,7 @@ export class Parser {
   constructor(tokens, reporter) {
     this.#tokens = tokens;
     this.#reporter = reporter;
+    this.#closingBrackets = matchBrackets(tokens);
   }
 
   /**
@@ -127,6 +179,19 @@ export class Parser {
     return current.type === type;
   }
 
+  /**
+   * Checks if the token after the current one is of the given type.
+   * Does not consume any token.
+   * @param {TokenType} type
+   */
+  #checkNext(type) {
+    const next = this.#tokens.at(this.#current + 1);
+    if (next === undefined) {
+      return false;
+    }
+    return next.type === type;
+  }
+
   /**
    * Consumes and returns the current token.
    * If the end of the token stream is reached, returns the last token (EOF).
@@ -199,12 +264,33 @@ export class Parser {
       if (this.#match("CLASS")) {
         return this.#classDeclaration();
       }
-      if (this.#match("FUN")) {
+      if (this.#match("TRAIT")) {
+        return this.#traitDeclaration();
+      }
+      // A 'fun' keyword that is not followed by a name starts an anonymous
+      // function expression, which is handled by #primary().
+      if (this.#check("FUN") && this.#checkNext("IDENTIFIER")) {
+        this.#advance();
         return this.#functionDeclaration("function");
       }
+      if (
+        this.#check("FUN") &&
+        this.#checkNext("STAR") &&
+        this.#tokens[this.#current + 2]?.type === "IDENTIFIER"
+      ) {
+        this.#advance();
+        this.#advance();
+        return this.#functionDeclaration("generator", true);
+      }
       if (this.#match("VAR")) {
         return this.#varDeclaration();
       }
+      if (this.#match("CONST")) {
+        return this.#constDeclaration();
+      }
+      if (this.#match("IMPORT")) {
+        return this.#importDeclaration();
+      }
       return this.#statement();
     } catch (error) {
       if (error instanceof ParseError) {
@@ -222,23 +308,185 @@ export class Parser {
    */
   #classDeclaration() {
     const name = this.#consume("IDENTIFIER", "Expected class name.");
+
+    let superclass;
+    if (this.#match("LESS")) {
+      this.#consume("IDENTIFIER", "Expected superclass name.");
+      superclass = new Variable(this.#previous());
+    }
+
+    /** @type {Variable[]} */
+    const traits = [];
+    if (this.#match("WITH")) {
+      do {
+        this.#consume("IDENTIFIER", "Expected trait name.");
+        traits.push(new Variable(this.#previous()));
+      } while (this.#match("COMMA"));
+    }
+
     this.#consume("LEFT_BRACE", "Expected '{' before class body.");
 
     /** @type {FunctionDecl[]} */
     const methods = [];
+    /** @type {FunctionDecl[]} */
+    const staticMethods = [];
     while (!this.#check("RIGHT_BRACE") && !this.#isAtEnd()) {
-      methods.push(this.#functionDeclaration("method"));
+      if (this.#match("CLASS")) {
+        staticMethods.push(this.#method("static method"));
+      } else {
+        methods.push(this.#method("method"));
+      }
     }
 
     this.#consume("RIGHT_BRACE", "Expected '}' after class body.");
-    return new Class(name, methods);
+    return new Class(name, superclass, traits, methods, staticMethods);
+  }
+
+  /**
+   * Parses a trait declaration statement.
+   * @returns {Trait}
+   */
+  #traitDeclaration() {
+    const name = this.#consume("IDENTIFIER", "Expected trait name.");
+    this.#consume("LEFT_BRACE", "Expected '{' before trait body.");
+
+    /** @type {FunctionDecl[]} */
+    const methods = [];
+    while (!this.#check("RIGHT_BRACE") && !this.#isAtEnd()) {
+      methods.push(this.#method("method"));
+    }
+
+    this.#consume("RIGHT_BRACE", "Expected '}' after trait body.");
+    return new Trait(name, methods);
+  }
+
+  /**
+   * Parses a method declaration in a class or trait body. A method whose name
+   * is preceded by `*` is a generator.
+   * @param {string} kind Kind of method, used in error messages
+   * @returns {FunctionDecl}
+   */
+  #method(kind) {
+    const generator = this.#match("STAR");
+    return this.#functionDeclaration(kind, generator);
+  }
+
+  /**
+   * Parses an import statement.
+   * @returns {Import}
+   */
+  #importDeclaration() {
+    const keyword = this.#previous();
+
+    let names;
+    if (this.#match("LEFT_BRACE")) {
+      names = [];
+      do {
+        names.push(this.#consume("IDENTIFIER", "Expected name to import."));
+      } while (this.#match("COMMA"));
+      this.#consume("RIGHT_BRACE", "Expected '}' after imported names.");
+
+      // 'from' is not a reserved word, so that it can still be used as a
+      // variable name.
+      const from = this.#peek();
+      if (!(from.type === "IDENTIFIER" && from.lexeme === "from")) {
+        throw this.#error(from, "Expected 'from' after imported names.");
+      }
+      this.#advance();
+    }
+
+    const path = this.#consume("STRING", "Expected module path string.");
+    this.#consume("SEMICOLON", "Expected ';' after import statement.");
+    return new Import(keyword, path, names);
+  }
+
+  /**
+   * Parses a destructuring pattern, starting at its opening `[` or `{`.
+   * @param {boolean} declaration If true, the targets must be variable names.
+   *    Otherwise, they can be any assignment targets.
+   * @returns {DestructuringPattern}
+   */
+  #destructuringPattern(declaration) {
+    if (this.#match("LEFT_BRACKET")) {
+      const bracket = this.#previous();
+      /** @type {DestructuringElement[]} */
+      const elements = [];
+      if (!this.#check("RIGHT_BRACKET")) {
+        do {
+          elements.push(this.#destructuringElement(declaration));
+        } while (this.#match("COMMA"));
+      }
+      this.#consume(
+        "RIGHT_BRACKET",
+        "Expected ']' after destructuring pattern.",
+      );
+      return new ListDestructuring(bracket, elements);
+    }
+
+    const brace = this.#consume("LEFT_BRACE", "Expected '[' or '{'.");
+    /** @type {[Token, DestructuringElement][]} */
+    const fields = [];
+    if (!this.#check("RIGHT_BRACE")) {
+      do {
+        const field = this.#consume("IDENTIFIER", "Expected field name.");
+        if (this.#match("COLON")) {
+          fields.push([field, this.#destructuringElement(declaration)]);
+        } else {
+          // Shorthand for `{x: x}`
+          const defaultValue = this.#match("EQUAL")
+            ? this.#ternary()
+            : undefined;
+          fields.push([
+            field,
+            new DestructuringElement(new Variable(field), defaultValue),
+          ]);
+        }
+      } while (this.#match("COMMA"));
+    }
+    this.#consume("RIGHT_BRACE", "Expected '}' after destructuring pattern.");
+    return new ObjectDestructuring(brace, fields);
+  }
+
+  /**
+   * Parses an element of a destructuring pattern: a target followed by an
+   * optional default value.
+   * @param {boolean} declaration If true, the target must be a variable name.
+   * @returns {DestructuringElement}
+   */
+  #destructuringElement(declaration) {
+    /** @type {UpdateTarget | DestructuringPattern} */
+    let target;
+    if (this.#check("LEFT_BRACKET") || this.#check("LEFT_BRACE")) {
+      target = this.#destructuringPattern(declaration);
+    } else if (declaration) {
+      target = new Variable(
+        this.#consume("IDENTIFIER", "Expected variable name."),
+      );
+    } else {
+      const expr = this.#call();
+      if (!isUpdateTarget(expr)) {
+        throw this.#error(this.#previous(), "Invalid assignment target.");
+      }
+      target = expr;
+    }
+
+    const defaultValue = this.#match("EQUAL") ? this.#ternary() : undefined;
+    return new DestructuringElement(target, defaultValue);
   }
 
   /**
    * Parses a variable declaration statement.
-   * @returns {Var}
+   * @returns {Var | DestructuringVar}
    */
   #varDeclaration() {
+    if (this.#check("LEFT_BRACKET") || this.#check("LEFT_BRACE")) {
+      const pattern = this.#destructuringPattern(true);
+      this.#consume("EQUAL", "Expected '=' after destructuring pattern.");
+      const initializer = this.#expression();
+      this.#consume("SEMICOLON", "Expected ';' after variable declaration.");
+      return new DestructuringVar(pattern, initializer);
+    }
+
     const name = this.#consume("IDENTIFIER", "Expected variable name.");
 
     const initializer = this.#match("EQUAL") ? this.#expression() : undefined;
@@ -247,7 +495,39 @@ export class Parser {
     return new Var(name, initializer);
   }
 
+  /**
+   * Parses a constant declaration statement.
+   * @returns {Var | DestructuringVar}
+   */
+  #constDeclaration() {
+    if (this.#check("LEFT_BRACKET") || this.#check("LEFT_BRACE")) {
+      const pattern = this.#destructuringPattern(true);
+      this.#consume("EQUAL", "Expected '=' after destructuring pattern.");
+      const initializer = this.#expression();
+      this.#consume("SEMICOLON", "Expected ';' after constant declaration.");
+      return new DestructuringVar(pattern, initializer, true);
+    }
+
+    const name = this.#consume("IDENTIFIER", "Expected constant name.");
+    this.#consume("EQUAL", "Expected '=' after constant name.");
+    const initializer = this.#expression();
+    this.#consume("SEMICOLON", "Expected ';' after constant declaration.");
+    return new Var(name, initializer, true);
+  }
+
   #statement() {
+    if (this.#check("IDENTIFIER") && this.#checkNext("COLON")) {
+      return this.#labeledStatement();
+    }
+
+    if (this.#match("BREAK")) {
+      return this.#breakStatement();
+    }
+
+    if (this.#match("CONTINUE")) {
+      return this.#continueStatement();
+    }
+
     if (this.#match("FOR")) {
       return this.#forStatement();
     }
@@ -256,6 +536,10 @@ export class Parser {
       return this.#ifStatement();
     }
 
+    if (this.#match("MATCH")) {
+      return this.#matchStatement();
+    }
+
     if (this.#match("PRINT")) {
       return this.#printStatement();
     }
@@ -264,11 +548,25 @@ export class Parser {
       return this.#returnStatement();
     }
 
+    if (this.#match("THROW")) {
+      return this.#throwStatement();
+    }
+
+    if (this.#match("TRY")) {
+      return this.#tryStatement();
+    }
+
     if (this.#match("WHILE")) {
       return this.#whileStatement();
     }
 
-    if (this.#match("LEFT_BRACE")) {
+    if (this.#match("YIELD")) {
+      return this.#yieldStatement();
+    }
+
+    // A destructuring assignment like `{x, y} = point;` is not a block.
+    if (this.#check("LEFT_BRACE") && !this.#isGroupFollowedBy("EQUAL")) {
+      this.#advance();
       return new Block(this.#block());
     }
 
@@ -278,12 +576,63 @@ export class Parser {
   }
 
   /**
-   * Parses a for-statement. (desugared to a while-statement)
-   * @returns {Block | While}
+   * Parses a labeled loop statement.
+   * @returns {Block | ForIn | While}
+   */
+  #labeledStatement() {
+    const label = this.#advance();
+    // Consume the ':'
+    this.#advance();
+
+    if (this.#match("FOR")) {
+      return this.#forStatement(label);
+    }
+    if (this.#match("WHILE")) {
+      return this.#whileStatement(label);
+    }
+
+    throw this.#error(this.#peek(), "Expected loop after label.");
+  }
+
+  /**
+   * Parses a break statement.
+   * @returns {Break}
+   */
+  #breakStatement() {
+    const keyword = this.#previous();
+    const label = this.#match("IDENTIFIER") ? this.#previous() : undefined;
+    this.#consume("SEMICOLON", "Expected ';' after 'break'.");
+    return new Break(keyword, label);
+  }
+
+  /**
+   * Parses a continue statement.
+   * @returns {Continue}
+   */
+  #continueStatement() {
+    const keyword = this.#previous();
+    const label = this.#match("IDENTIFIER") ? this.#previous() : undefined;
+    this.#consume("SEMICOLON", "Expected ';' after 'continue'.");
+    return new Continue(keyword, label);
+  }
+
+  /**
+   * Parses a for-statement (desugared to a while-statement) or a for-in
+   * statement.
+   * @param {Token=} label
+   * @returns {Block | ForIn | While}
    */
-  #forStatement() {
+  #forStatement(label) {
     this.#consume("LEFT_PAREN", "Expected '(' after 'for'.");
 
+    if (
+      this.#check("VAR") &&
+      this.#checkNext("IDENTIFIER") &&
+      this.#tokens[this.#current + 2]?.type === "IN"
+    ) {
+      return this.#forInStatement(label);
+    }
+
     const initializer = this.#match("SEMICOLON")
       ? undefined
       : this.#match("VAR")
@@ -299,14 +648,16 @@ export class Parser {
     this.#consume("RIGHT_PAREN", "Expected ')' after for-loop clauses.");
 
     // Work backwards to desugar the for-loop into a while-loop.
+    // The increment is not appended to the body, so that it still runs when
+    // an iteration is cut short by a continue statement.
 
-    let body = this.#statement();
-
-    if (increment) {
-      body = new Block([body, new Expression(increment)]);
-    }
-
-    body = new While(condition ?? new Literal(true), body);
+    /** @type {Block | While} */
+    let body = new While(
+      condition ?? new Literal(true),
+      this.#statement(),
+      increment,
+      label,
+    );
 
     if (initializer) {
       body = new Block([initializer, body]);
@@ -315,6 +666,23 @@ export class Parser {
     return body;
   }
 
+  /**
+   * Parses the rest of a for-in statement, after the opening parenthesis.
+   * @param {Token=} label
+   * @returns {ForIn}
+   */
+  #forInStatement(label) {
+    // Consume the 'var'.
+    this.#advance();
+    const name = this.#advance();
+    const keyword = this.#advance();
+
+    const iterable = this.#expression();
+    this.#consume("RIGHT_PAREN", "Expected ')' after for-in iterable.");
+
+    return new ForIn(name, keyword, iterable, this.#statement(), label);
+  }
+
   /**
    * Parses an if-statement.
    * @returns {If}
@@ -336,6 +704,131 @@ export class Parser {
     return new If(condition, thenBranch, elseBranch);
   }
 
+  /**
+   * Parses a match statement.
+   * @returns {Match}
+   */
+  #matchStatement() {
+    const keyword = this.#previous();
+    this.#consume("LEFT_PAREN", "Expected '(' after 'match'.");
+    const subject = this.#expression();
+    this.#consume("RIGHT_PAREN", "Expected ')' after match subject.");
+    this.#consume("LEFT_BRACE", "Expected '{' before match cases.");
+
+    /** @type {MatchCase[]} */
+    const cases = [];
+    while (!this.#check("RIGHT_BRACE") && !this.#isAtEnd()) {
+      const caseKeyword = this.#consume("CASE", "Expected 'case'.");
+
+      const patterns = [this.#pattern()];
+      while (this.#match("COMMA")) {
+        patterns.push(this.#pattern());
+      }
+
+      const guard = this.#match("IF") ? this.#caseGuard() : undefined;
+      this.#consume("ARROW", "Expected '=>' after case pattern.");
+      const body = this.#statement();
+
+      cases.push(new MatchCase(caseKeyword, patterns, guard, body));
+    }
+
+    this.#consume("RIGHT_BRACE", "Expected '}' after match cases.");
+    return new Match(keyword, subject, cases);
+  }
+
+  /**
+   * Parses the guard of a match case, after the 'if' keyword. A parenthesized
+   * guard followed by the `=>` of the case (`if (x > 1) =>`) is not the
+   * parameter list of an arrow function.
+   * @returns {Expr}
+   */
+  #caseGuard() {
+    const enclosingGuardArrow = this.#guardArrow;
+    this.#guardArrow = this.#findCaseArrow();
+    try {
+      return this.#expression();
+    } finally {
+      this.#guardArrow = enclosingGuardArrow;
+    }
+  }
+
+  /**
+   * Finds the `=>` token that ends the current case guard, skipping bracketed
+   * groups. Does not consume any token.
+   * @returns {number | undefined} Index of the `=>` token, or `undefined` if
+   *    the guard is not followed by one
+   */
+  #findCaseArrow() {
+    let i = this.#current;
+    while (i < this.#tokens.length) {
+      switch (this.#tokens[i].type) {
+        case "ARROW":
+          return i;
+        case "SEMICOLON":
+        case "RIGHT_PAREN":
+        case "RIGHT_BRACKET":
+        case "RIGHT_BRACE":
+        case "EOF":
+          return undefined;
+      }
+      i = (this.#closingBrackets.get(i) ?? i) + 1;
+    }
+    return undefined;
+  }
+
+  /**
+   * Parses a pattern in a case of a match statement.
+   * @returns {Pattern}
+   */
+  #pattern() {
+    if (this.#match("NUMBER", "STRING")) {
+      const token = this.#previous();
+      return new LiteralPattern(token, token.literal);
+    }
+
+    if (this.#match("MINUS")) {
+      const token = this.#consume(
+        "NUMBER",
+        "Expected number after '-' in pattern.",
+      );
+      const value = token.literal;
+      return new LiteralPattern(
+        token,
+        typeof value === "bigint" ? -value : -Number(value),
+      );
+    }
+
+    if (this.#match("FALSE"))
+      return new LiteralPattern(this.#previous(), false);
+    if (this.#match("TRUE")) return new LiteralPattern(this.#previous(), true);
+    if (this.#match("NIL")) return new LiteralPattern(this.#previous(), null);
+
+    if (this.#match("IDENTIFIER")) {
+      const name = this.#previous();
+
+      if (name.lexeme === "_") {
+        return new WildcardPattern(name);
+      }
+
+      if (this.#match("LEFT_PAREN")) {
+        const paren = this.#previous();
+        /** @type {Pattern[]} */
+        const fields = [];
+        if (!this.#check("RIGHT_PAREN")) {
+          do {
+            fields.push(this.#pattern());
+          } while (this.#match("COMMA"));
+        }
+        this.#consume("RIGHT_PAREN", "Expected ')' after field patterns.");
+        return new ClassPattern(new Variable(name), paren, fields);
+      }
+
+      return new BindingPattern(name);
+    }
+
+    throw this.#error(this.#peek(), "Expected pattern.");
+  }
+
   /**
    * Parses a print statement.
    * @returns {Print}
@@ -361,17 +854,78 @@ export class Parser {
     return new Return(keyword, value);
   }
 
+  /**
+   * Parses a throw statement.
+   * @returns {Throw}
+   */
+  #throwStatement() {
+    const keyword = this.#previous();
+    const value = this.#expression();
+    this.#consume("SEMICOLON", "Expected ';' after thrown value.");
+    return new Throw(keyword, value);
+  }
+
+  /**
+   * Parses a try-statement.
+   * @returns {Try}
+   */
+  #tryStatement() {
+    this.#consume("LEFT_BRACE", "Expected '{' after 'try'.");
+    const tryBlock = this.#block();
+
+    let catchParam;
+    let catchBlock;
+    if (this.#match("CATCH")) {
+      if (this.#match("LEFT_PAREN")) {
+        catchParam = this.#consume(
+          "IDENTIFIER",
+          "Expected error variable name.",
+        );
+        this.#consume("RIGHT_PAREN", "Expected ')' after error variable.");
+      }
+      this.#consume("LEFT_BRACE", "Expected '{' before catch block.");
+      catchBlock = this.#block();
+    }
+
+    let finallyBlock;
+    if (this.#match("FINALLY")) {
+      this.#consume("LEFT_BRACE", "Expected '{' after 'finally'.");
+      finallyBlock = this.#block();
+    }
+
+    if (!catchBlock && !finallyBlock) {
+      throw this.#error(
+        this.#peek(),
+        "Expected 'catch' or 'finally' after try block.",
+      );
+    }
+
+    return new Try(tryBlock, catchParam, catchBlock, finallyBlock);
+  }
+
+  /**
+   * Parses a yield statement.
+   * @returns {Yield}
+   */
+  #yieldStatement() {
+    const keyword = this.#previous();
+    const value = this.#check("SEMICOLON") ? undefined : this.#expression();
+    this.#consume("SEMICOLON", "Expected ';' after yield value.");
+    return new Yield(keyword, value);
+  }
+
   /**
    * Parses a while-statement.
+   * @param {Token=} label
    * @returns {While}
    */
-  #whileStatement() {
+  #whileStatement(label) {
     this.#consume("LEFT_PAREN", "Expected '(' after 'while'.");
     const condition = this.#expression();
     this.#consume("RIGHT_PAREN", "Expected ')' after while condition.");
     const body = this.#statement();
 
-    return new While(condition, body);
+    return new While(condition, body, undefined, label);
   }
 
   /**
@@ -387,33 +941,111 @@ export class Parser {
   /**
    * Parses a function declaration statement.
    * @param {string} kind
+   * @param {boolean} generator Whether the function is a generator (`fun*`)
    * @returns {FunctionDecl}
    */
-  #functionDeclaration(kind) {
+  #functionDeclaration(kind, generator = false) {
     const name = this.#consume("IDENTIFIER", `Expected ${kind} name.`);
     this.#consume("LEFT_PAREN", `Expected '(' after ${kind} name.`);
+    const { params, rest } = this.#parameters();
+
+    this.#consume("LEFT_BRACE", `Expected '{' before ${kind} body.`);
+    const body = this.#block();
 
-    const parameters = [];
+    return new FunctionDecl(name, params, rest, body, generator);
+  }
+
+  /**
+   * Parses the parameter list of a function, after the opening parenthesis.
+   * Also consumes the closing parenthesis.
+   * @returns {{ params: Parameter[], rest: Token | undefined }}
+   */
+  #parameters() {
+    /** @type {Parameter[]} */
+    const params = [];
+    /** @type {Token | undefined} */
+    let rest;
     if (!this.#check("RIGHT_PAREN")) {
       do {
-        if (parameters.length >= FUNCTION_MAX_ARGS) {
+        if (params.length >= FUNCTION_MAX_ARGS) {
           this.#error(
             this.#peek(),
             `Can't have more than ${FUNCTION_MAX_ARGS} parameters.`,
           );
         }
 
-        parameters.push(
-          this.#consume("IDENTIFIER", "Expected parameter name."),
-        );
+        if (this.#match("ELLIPSIS")) {
+          rest = this.#consume("IDENTIFIER", "Expected rest parameter name.");
+          if (this.#check("COMMA")) {
+            throw this.#error(this.#peek(), "Rest parameter must be last.");
+          }
+          break;
+        }
+
+        const name = this.#consume("IDENTIFIER", "Expected parameter name.");
+        let defaultValue;
+        if (this.#match("EQUAL")) {
+          defaultValue = this.#ternary();
+        } else if (params.at(-1)?.defaultValue) {
+          this.#error(
+            name,
+            "Parameter without default value can't follow one with a default value.",
+          );
+        }
+        params.push(new Parameter(name, defaultValue));
       } while (this.#match("COMMA"));
     }
     this.#consume("RIGHT_PAREN", `Expected ')' after parameters.`);
+    return { params, rest };
+  }
 
-    this.#consume("LEFT_BRACE", `Expected '{' before ${kind} body.`);
+  /**
+   * Parses an anonymous function expression, after the 'fun' keyword.
+   * @returns {FunctionExpr}
+   */
+  #functionExpression() {
+    const keyword = this.#previous();
+    const generator = this.#match("STAR");
+    this.#consume("LEFT_PAREN", "Expected '(' after 'fun'.");
+    const { params, rest } = this.#parameters();
+
+    this.#consume("LEFT_BRACE", "Expected '{' before function body.");
     const body = this.#block();
 
-    return new FunctionDecl(name, parameters, body);
+    return new FunctionExpr(keyword, params, rest, body, generator);
+  }
+
+  /**
+   * Checks if the bracketed group of tokens that starts at the current token
+   * (a `(`, `[` or `{`) is followed by a token of the given type.
+   * This is used to detect the parameter list of an arrow function (followed
+   * by `=>`) and destructuring patterns in assignments (followed by `=`).
+   * Does not consume any token.
+   * @param {TokenType} type
+   * @returns {boolean}
+   */
+  #isGroupFollowedBy(type) {
+    const closing = this.#closingBrackets.get(this.#current);
+    return closing !== undefined && this.#tokens[closing + 1]?.type === type;
+  }
+
+  /**
+   * Parses an arrow function, starting at the left parenthesis.
+   * The body is either a block, or a single expression whose value is
+   * returned.
+   * @returns {FunctionExpr}
+   */
+  #arrowFunction() {
+    this.#consume("LEFT_PAREN", "Expected '(' before parameters.");
+    const { params, rest } = this.#parameters();
+    const arrow = this.#consume("ARROW", "Expected '=>' after parameters.");
+
+    if (this.#match("LEFT_BRACE")) {
+      return new FunctionExpr(arrow, params, rest, this.#block());
+    }
+
+    const value = this.#ternary();
+    return new FunctionExpr(arrow, params, rest, [new Return(arrow, value)]);
   }
 
   /**
@@ -490,14 +1122,23 @@ export class Parser {
    * @returns {Expr}
    */
   #assignment() {
-    const expr = this.#or();
+    if (
+      (this.#check("LEFT_BRACKET") || this.#check("LEFT_BRACE")) &&
+      this.#isGroupFollowedBy("EQUAL")
+    ) {
+      const pattern = this.#destructuringPattern(false);
+      this.#consume("EQUAL", "Expected '=' after destructuring pattern.");
+      return new DestructuringAssign(pattern, this.#assignment());
+    }
+
+    const expr = this.#coalesce();
 
     if (this.#match("EQUAL")) {
       const equals = this.#previous();
       const value = this.#assignment();
 
       // Check if the left-hand expression is a storage location.
-      // This includes variables and get-expressions.
+      // This includes variables, get-expressions and index-get-expressions.
 
       if (expr instanceof Variable) {
         const name = expr.name;
@@ -508,9 +1149,46 @@ export class Parser {
         return new SetExpr(expr.object, expr.name, value);
       }
 
+      if (expr instanceof IndexGetExpr) {
+        return new IndexSetExpr(expr.object, expr.bracket, expr.index, value);
+      }
+
       // Report the error but do not throw, since the parser is not in a
       // confused state and can continue parsing.
       this.#error(equals, "Invalid assignment target.");
+    } else if (
+      this.#match(
+        "PLUS_EQUAL",
+        "MINUS_EQUAL",
+        "STAR_EQUAL",
+        "SLASH_EQUAL",
+        "PERCENT_EQUAL",
+      )
+    ) {
+      const operator = this.#previous();
+      const value = this.#assignment();
+
+      if (isUpdateTarget(expr)) {
+        return new CompoundAssign(expr, operator, value);
+      }
+
+      this.#error(operator, "Invalid assignment target.");
+    }
+
+    return expr;
+  }
+
+  /**
+   * Parses a nil-coalescing expression (`a ?? b`).
+   * @returns {Expr}
+   */
+  #coalesce() {
+    let expr = this.#or();
+
+    while (this.#match("QUESTION_QUESTION")) {
+      const operator = this.#previous();
+      const right = this.#or();
+      expr = new Logical(expr, operator, right);
     }
 
     return expr;
@@ -565,9 +1243,86 @@ export class Parser {
    * @returns {Expr}
    */
   #comparison() {
-    let expr = this.#term();
+    let expr = this.#range();
 
     while (this.#match("LESS", "LESS_EQUAL", "GREATER", "GREATER_EQUAL")) {
+      const operator = this.#previous();
+      const right = this.#range();
+      expr = new Binary(expr, operator, right);
+    }
+
+    return expr;
+  }
+
+  /**
+   * Parses a range expression. Ranges are not associative, so `a..b..c` is a
+   * syntax error.
+   * @returns {Expr}
+   */
+  #range() {
+    const expr = this.#bitwiseOr();
+
+    if (this.#match("DOT_DOT")) {
+      const operator = this.#previous();
+      const right = this.#bitwiseOr();
+      return new Binary(expr, operator, right);
+    }
+
+    return expr;
+  }
+
+  /**
+   * @returns {Expr}
+   */
+  #bitwiseOr() {
+    let expr = this.#bitwiseXor();
+
+    while (this.#match("PIPE")) {
+      const operator = this.#previous();
+      const right = this.#bitwiseXor();
+      expr = new Binary(expr, operator, right);
+    }
+
+    return expr;
+  }
+
+  /**
+   * @returns {Expr}
+   */
+  #bitwiseXor() {
+    let expr = this.#bitwiseAnd();
+
+    while (this.#match("CARET")) {
+      const operator = this.#previous();
+      const right = this.#bitwiseAnd();
+      expr = new Binary(expr, operator, right);
+    }
+
+    return expr;
+  }
+
+  /**
+   * @returns {Expr}
+   */
+  #bitwiseAnd() {
+    let expr = this.#shift();
+
+    while (this.#match("AMPERSAND")) {
+      const operator = this.#previous();
+      const right = this.#shift();
+      expr = new Binary(expr, operator, right);
+    }
+
+    return expr;
+  }
+
+  /**
+   * @returns {Expr}
+   */
+  #shift() {
+    let expr = this.#term();
+
+    while (this.#match("LESS_LESS", "GREATER_GREATER")) {
       const operator = this.#previous();
       const right = this.#term();
       expr = new Binary(expr, operator, right);
@@ -597,7 +1352,7 @@ export class Parser {
   #factor() {
     let expr = this.#unary();
 
-    while (this.#match("SLASH", "STAR")) {
+    while (this.#match("SLASH", "TILDE_SLASH", "STAR", "PERCENT")) {
       const operator = this.#previous();
       const right = this.#unary();
       expr = new Binary(expr, operator, right);
@@ -610,13 +1365,61 @@ export class Parser {
    * @returns {Expr}
    */
   #unary() {
-    if (this.#match("BANG", "MINUS")) {
+    if (this.#match("BANG", "MINUS", "TILDE")) {
       const operator = this.#previous();
       const right = this.#unary();
       return new Unary(operator, right);
     }
 
-    return this.#call();
+    if (this.#match("PLUS_PLUS", "MINUS_MINUS")) {
+      const operator = this.#previous();
+      const target = this.#unary();
+      if (!isUpdateTarget(target)) {
+        this.#error(operator, `Invalid operand for '${operator.lexeme}'.`);
+        return target;
+      }
+      return new Update(operator, target, true);
+    }
+
+    return this.#power();
+  }
+
+  /**
+   * Parses an exponentiation expression. The operator is right-associative and
+   * binds tighter than unary operators on its left, so `-2 ** 2` is `-(2 ** 2)`.
+   * @returns {Expr}
+   */
+  #power() {
+    const expr = this.#postfix();
+
+    if (this.#match("STAR_STAR")) {
+      const operator = this.#previous();
+      // Parsing the right operand as a unary expression makes the operator
+      // right-associative and allows a unary operator on the right (`2 ** -1`).
+      const right = this.#unary();
+      return new Binary(expr, operator, right);
+    }
+
+    return expr;
+  }
+
+  /**
+   * Parses a postfix increment or decrement expression.
+   * @returns {Expr}
+   */
+  #postfix() {
+    const expr = this.#call();
+
+    if (this.#match("PLUS_PLUS", "MINUS_MINUS")) {
+      const operator = this.#previous();
+      if (!isUpdateTarget(expr)) {
+        this.#error(operator, `Invalid operand for '${operator.lexeme}'.`);
+        return expr;
+      }
+      return new Update(operator, expr, false);
+    }
+
+    return expr;
   }
 
   /**
@@ -625,6 +1428,7 @@ export class Parser {
    */
   #call() {
     let expr = this.#primary();
+    let optional = false;
 
     while (true) {
       if (this.#match("LEFT_PAREN")) {
@@ -635,12 +1439,39 @@ export class Parser {
           "Expected property name after '.'.",
         );
         expr = new GetExpr(expr, name);
+      } else if (this.#match("LEFT_BRACKET")) {
+        expr = this.#finishIndex(expr, false);
+      } else if (this.#match("QUESTION_DOT")) {
+        optional = true;
+        if (this.#match("LEFT_BRACKET")) {
+          expr = this.#finishIndex(expr, true);
+        } else {
+          const name = this.#consume(
+            "IDENTIFIER",
+            "Expected property name after '?.'.",
+          );
+          expr = new GetExpr(expr, name, true);
+        }
       } else {
         break;
       }
     }
 
-    return expr;
+    // Wrap the whole chain, so that an optional access can skip the rest of it.
+    return optional ? new OptionalChain(expr) : expr;
+  }
+
+  /**
+   * Finishes parsing an index expression, after the opening bracket.
+   * @param {Expr} object
+   * @param {boolean} optional
+   * @returns {IndexGetExpr}
+   */
+  #finishIndex(object, optional) {
+    const bracket = this.#previous();
+    const index = this.#expression();
+    this.#consume("RIGHT_BRACKET", "Expected ']' after index.");
+    return new IndexGetExpr(object, bracket, index, optional);
   }
 
   /**
@@ -670,6 +1501,10 @@ export class Parser {
       return new Literal(this.#previous().literal);
     }
 
+    if (this.#match("INTERPOLATION")) {
+      return this.#interpolation();
+    }
+
     if (this.#match("FALSE")) {
       return new Literal(false);
     }
@@ -682,6 +1517,16 @@ export class Parser {
       return new Literal(null);
     }
 
+    if (this.#match("SUPER")) {
+      const keyword = this.#previous();
+      this.#consume("DOT", "Expected '.' after 'super'.");
+      const method = this.#consume(
+        "IDENTIFIER",
+        "Expected superclass method name.",
+      );
+      return new Super(keyword, method);
+    }
+
     if (this.#match("THIS")) {
       return new This(this.#previous());
     }
@@ -690,15 +1535,112 @@ export class Parser {
       return new Variable(this.#previous());
     }
 
+    if (this.#match("FUN")) {
+      return this.#functionExpression();
+    }
+
+    // In a case guard, a group followed by the `=>` of the case is a grouping
+    // expression rather than the parameter list of an arrow function.
+    if (
+      this.#check("LEFT_PAREN") &&
+      this.#isGroupFollowedBy("ARROW") &&
+      this.#guardArrow !== (this.#closingBrackets.get(this.#current) ?? 0) + 1
+    ) {
+      return this.#arrowFunction();
+    }
+
     if (this.#match("LEFT_PAREN")) {
       const expr = this.#expression();
       this.#consume("RIGHT_PAREN", "Expected ')' after expression.");
       return new Grouping(expr);
     }
 
+    if (this.#match("LEFT_BRACKET")) {
+      return this.#list();
+    }
+
+    // Note: A left brace at the start of a statement is always parsed as a
+    // block, so a map literal can only appear inside an expression.
+    if (this.#match("LEFT_BRACE")) {
+      return this.#map();
+    }
+
     throw this.#error(this.#peek(), "Expected expression.");
   }
 
+  /**
+   * Parses the rest of an interpolated string, after the first INTERPOLATION
+   * token.
+   * @returns {Interpolation}
+   */
+  #interpolation() {
+    /** @type {Expr[]} */
+    const parts = [];
+
+    do {
+      const fragment = String(this.#previous().literal);
+      if (fragment) {
+        parts.push(new Literal(fragment));
+      }
+      parts.push(this.#expression());
+    } while (this.#match("INTERPOLATION"));
+
+    const end = this.#consume(
+      "STRING",
+      "Expected '}' after interpolated expression.",
+    );
+    const fragment = String(end.literal);
+    if (fragment) {
+      parts.push(new Literal(fragment));
+    }
+
+    return new Interpolation(parts);
+  }
+
+  /**
+   * Parses the rest of a list literal, after the opening bracket.
+   * A trailing comma after the last element is allowed.
+   * @returns {ListExpr}
+   */
+  #list() {
+    const bracket = this.#previous();
+
+    const elements = [];
+    while (!this.#check("RIGHT_BRACKET")) {
+      elements.push(this.#ternary());
+      if (!this.#match("COMMA")) {
+        break;
+      }
+    }
+
+    this.#consume("RIGHT_BRACKET", "Expected ']' after list elements.");
+    return new ListExpr(bracket, elements);
+  }
+
+  /**
+   * Parses the rest of a map literal, after the opening brace.
+   * A trailing comma after the last entry is allowed.
+   * @returns {MapExpr}
+   */
+  #map() {
+    const brace = this.#previous();
+
+    /** @type {[key: Expr, value: Expr][]} */
+    const entries = [];
+    while (!this.#check("RIGHT_BRACE")) {
+      const key = this.#ternary();
+      this.#consume("COLON", "Expected ':' after map key.");
+      const value = this.#ternary();
+      entries.push([key, value]);
+      if (!this.#match("COMMA")) {
+        break;
+      }
+    }
+
+    this.#consume("RIGHT_BRACE", "Expected '}' after map entries.");
+    return new MapExpr(brace, entries);
+  }
+
   #synchronize() {
     this.#advance();
 
@@ -708,14 +1650,23 @@ export class Parser {
       }
 
       switch (this.#peek().type) {
+        case "BREAK":
         case "CLASS":
+        case "CONST":
+        case "CONTINUE":
         case "FUN":
         case "VAR":
         case "FOR":
         case "IF":
+        case "IMPORT":
+        case "MATCH":
         case "WHILE":
         case "PRINT":
         case "RETURN":
+        case "THROW":
+        case "TRAIT":
+        case "TRY":
+        case "YIELD":
           return;
       }
 
@@ -724,6 +1675,53 @@ export class Parser {
   }
 }
 
+/**
+ * Finds the closing bracket that matches each opening bracket. Brackets of all
+ * kinds are counted together, and unmatched closing brackets are ignored.
+ * @param {readonly Token[]} tokens
+ * @returns {Map<number, number>} Index of the matching closing bracket, by the
+ *    index of the opening bracket
+ */
+function matchBrackets(tokens) {
+  /** @type {Map<number, number>} */
+  const closingBrackets = new Map();
+  /** @type {number[]} */
+  const openBrackets = [];
+  for (let i = 0; i < tokens.length; i++) {
+    switch (tokens[i].type) {
+      case "LEFT_PAREN":
+      case "LEFT_BRACKET":
+      case "LEFT_BRACE":
+        openBrackets.push(i);
+        break;
+      case "RIGHT_PAREN":
+      case "RIGHT_BRACKET":
+      case "RIGHT_BRACE": {
+        const open = openBrackets.pop();
+        if (open !== undefined) {
+          closingBrackets.set(open, i);
+        }
+        break;
+      }
+    }
+  }
+  return closingBrackets;
+}
+
+/**
+ * Checks whether an expression can be the target of a compound assignment or
+ * an increment/decrement operator.
+ * @param {Expr} expr
+ * @returns {expr is UpdateTarget}
+ */
+function isUpdateTarget(expr) {
+  return (
+    expr instanceof Variable ||
+    expr instanceof GetExpr ||
+    expr instanceof IndexGetExpr
+  );
+}
+
 export class ParseError extends Error {
   constructor() {
     super("");
@@ -0,0 +1,115 @@
+/**
+ * @import { Variable } from './expression.js';
+ * @import { Token } from './token.js';
+ * @import { LoxValue } from "./value.js";
+ */
+
+/**
+ * Patterns used by the cases of a match statement.
+ * @typedef {LiteralPattern | WildcardPattern | BindingPattern | ClassPattern} Pattern
+ */
+
+/**
+ * Pattern that matches a value equal to a literal (e.g. `1`, `"a"`, `nil`).
+ */
+export class LiteralPattern {
+  /**
+   * @param {Token} token Literal token, used to report errors
+   * @param {LoxValue} value
+   */
+  constructor(token, value) {
+    /**
+     * Literal token, used to report errors
+     * @readonly
+     */
+    this.token = token;
+    /** @readonly */
+    this.value = value;
+  }
+}
+
+/**
+ * Pattern that matches any value without binding it (`_`).
+ */
+export class WildcardPattern {
+  /**
+   * @param {Token} token
+   */
+  constructor(token) {
+    /** @readonly */
+    this.token = token;
+  }
+}
+
+/**
+ * Pattern that matches any value and binds it to a new variable.
+ */
+export class BindingPattern {
+  /**
+   * @param {Token} name Name of the variable to bind
+   */
+  constructor(name) {
+    /**
+     * Name of the variable to bind
+     * @readonly
+     */
+    this.name = name;
+  }
+}
+
+/**
+ * Pattern that matches instances of a class (e.g. `Point(x, y)`).
+ *
+ * The subpatterns are matched against the fields of the instance whose names
+ * are the parameters of the class initializer, in the same order.
+ */
+export class ClassPattern {
+  /**
+   * @param {Variable} klass Expression that evaluates to the class
+   * @param {Token} paren Left parenthesis, used to report errors
+   * @param {readonly Pattern[]} fields Patterns for the fields of the instance
+   */
+  constructor(klass, paren, fields) {
+    /**
+     * Expression that evaluates to the class
+     * @readonly
+     */
+    this.klass = klass;
+    /**
+     * Left parenthesis, used to report errors
+     * @readonly
+     */
+    this.paren = paren;
+    /**
+     * Patterns for the fields of the instance
+     * @readonly
+     */
+    this.fields = fields;
+  }
+}
+
+/**
+ * Checks whether a pattern matches every value.
+ * @param {Pattern} pattern
+ * @returns {boolean}
+ */
+export function isIrrefutable(pattern) {
+  return (
+    pattern instanceof WildcardPattern || pattern instanceof BindingPattern
+  );
+}
+
+/**
+ * Returns the names of all variables bound by a pattern and its subpatterns.
+ * @param {Pattern} pattern
+ * @returns {Token[]}
+ */
+export function patternBindings(pattern) {
+  if (pattern instanceof BindingPattern) {
+    return [pattern.name];
+  }
+  if (pattern instanceof ClassPattern) {
+    return pattern.fields.flatMap(patternBindings);
+  }
+  return [];
+}
@@ -1,3 +1,4 @@
+import { isDestructuringPattern, ListDestructuring } from "./destructuring.js";
 import { Binary, Grouping, Literal, Ternary, Unary } from "./expression.js";
 import { Token } from "./token.js";
 
@@ -5,14 +6,29 @@ import { Token } from "./token.js";
  * @import {
  *   Assign,
  *   Call,
+ *   CompoundAssign,
+ *   DestructuringAssign,
  *   Expr,
  *   ExprVisitor,
+ *   FunctionExpr,
  *   GetExpr,
+ *   IndexGetExpr,
+ *   IndexSetExpr,
+ *   Interpolation,
+ *   ListExpr,
  *   Logical,
+ *   MapExpr,
+ *   OptionalChain,
  *   SetExpr,
+ *   Super,
  *   This,
+ *   Update,
  *   Variable,
  * } from './expression.js'
+ * @import {
+ *   DestructuringElement,
+ *   DestructuringPattern,
+ * } from './destructuring.js'
  */
 
 /**
@@ -51,12 +67,67 @@ class RpnPrinter {
     return `(${this.print(expr.callee)}${expr.args.map((arg) => ` ${this.print(arg)}`).join("")} call)`;
   }
 
+  /**
+   * @param {CompoundAssign} expr
+   * @returns {string}
+   */
+  visitCompoundAssign(expr) {
+    return `${this.print(expr.target)} ${this.print(expr.value)} ${expr.operator.lexeme}`;
+  }
+
+  /**
+   * @param {DestructuringAssign} expr
+   * @returns {string}
+   */
+  visitDestructuringAssign(expr) {
+    return `(${this.#printPattern(expr.pattern)} ${this.print(expr.value)} set)`;
+  }
+
+  /**
+   * @param {DestructuringPattern} pattern
+   * @returns {string}
+   */
+  #printPattern(pattern) {
+    /** @param {DestructuringElement} element */
+    const printElement = ({ target, defaultValue }) => {
+      const printed = isDestructuringPattern(target)
+        ? this.#printPattern(target)
+        : this.print(target);
+      return defaultValue
+        ? `(${printed} ${this.print(defaultValue)} =)`
+        : printed;
+    };
+
+    if (pattern instanceof ListDestructuring) {
+      return `[${pattern.elements.map(printElement).join(" ")}]`;
+    }
+    const fields = pattern.fields.map(
+      ([field, element]) => `${field.lexeme}: ${printElement(element)}`,
+    );
+    return `{${fields.join(" ")}}`;
+  }
+
+  /**
+   * @param {FunctionExpr} expr
+   * @returns {string}
+   */
+  visitFunctionExpr(expr) {
+    const params = expr.params.map((param) =>
+      param.defaultValue
+        ? `(${param.name.lexeme} ${this.print(param.defaultValue)} =) `
+        : `${param.name.lexeme} `,
+    );
+    const rest = expr.rest ? `...${expr.rest.lexeme} ` : "";
+    return `(${params.join("")}${rest}fun)`;
+  }
+
   /**
    * @param {GetExpr} expr
    * @returns {string}
    */
   visitGetExpr(expr) {
-    return `(${this.print(expr.object)} ${expr.name.lexeme} get)`;
+    const operator = expr.optional ? "get?" : "get";
+    return `(${this.print(expr.object)} ${expr.name.lexeme} ${operator})`;
   }
 
   /**
@@ -67,6 +138,39 @@ class RpnPrinter {
     return this.print(expr.expression);
   }
 
+  /**
+   * @param {IndexGetExpr} expr
+   * @returns {string}
+   */
+  visitIndexGetExpr(expr) {
+    const operator = expr.optional ? "index?" : "index";
+    return `(${this.print(expr.object)} ${this.print(expr.index)} ${operator})`;
+  }
+
+  /**
+   * @param {IndexSetExpr} expr
+   * @returns {string}
+   */
+  visitIndexSetExpr(expr) {
+    return `(${this.print(expr.object)} ${this.print(expr.index)} ${this.print(expr.value)} set-index)`;
+  }
+
+  /**
+   * @param {Interpolation} expr
+   * @returns {string}
+   */
+  visitInterpolation(expr) {
+    return `(${expr.parts.map((part) => `${this.print(part)} `).join("")}interpolate)`;
+  }
+
+  /**
+   * @param {ListExpr} expr
+   * @returns {string}
+   */
+  visitListExpr(expr) {
+    return `(${expr.elements.map((element) => `${this.print(element)} `).join("")}list)`;
+  }
+
   /**
    * @param {Literal} expr
    * @returns {string}
@@ -76,7 +180,9 @@ class RpnPrinter {
       ? "nil"
       : typeof expr.value === "string"
         ? `"${expr.value}"`
-        : String(expr.value);
+        : typeof expr.value === "bigint"
+          ? `${expr.value}n`
+          : String(expr.value);
   }
 
   /**
@@ -87,6 +193,22 @@ class RpnPrinter {
     return `${this.print(expr.left)} ${this.print(expr.right)} ${expr.operator.lexeme}`;
   }
 
+  /**
+   * @param {MapExpr} expr
+   * @returns {string}
+   */
+  visitMapExpr(expr) {
+    return `(${expr.entries.map(([key, value]) => `${this.print(key)} ${this.print(value)} `).join("")}map)`;
+  }
+
+  /**
+   * @param {OptionalChain} expr
+   * @returns {string}
+   */
+  visitOptionalChain(expr) {
+    return `(${this.print(expr.expression)} optional-chain)`;
+  }
+
   /**
    * @param {SetExpr} expr
    * @returns {string}
@@ -95,6 +217,14 @@ class RpnPrinter {
     return `(${this.print(expr.object)}.${expr.name.lexeme} ${this.print(expr.value)} set)`;
   }
 
+  /**
+   * @param {Super} expr
+   * @returns {string}
+   */
+  visitSuper(expr) {
+    return `(${expr.method.lexeme} super)`;
+  }
+
   /**
    * @param {Unary} expr
    * @returns {string}
@@ -103,6 +233,16 @@ class RpnPrinter {
     return `${this.print(expr.right)} ${expr.operator.lexeme}`;
   }
 
+  /**
+   * @param {Update} expr
+   * @returns {string}
+   */
+  visitUpdate(expr) {
+    return expr.prefix
+      ? `${this.print(expr.target)} ${expr.operator.lexeme}`
+      : `${this.print(expr.target)} post${expr.operator.lexeme}`;
+  }
+
   /**
    * @param {Ternary} expr
    * @returns {string}
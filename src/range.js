@@ -0,0 +1,30 @@
+/**
+ * Represents the runtime value of a numeric range, created with the `..`
+ * operator. The range includes its start and excludes its end.
+ */
+export class LoxRange {
+  /**
+   * @param {number} start
+   * @param {number} end
+   */
+  constructor(start, end) {
+    /** @readonly */
+    this.start = start;
+    /** @readonly */
+    this.end = end;
+  }
+
+  /**
+   * Produces the numbers of the range in increasing order, counting up by 1.
+   * @returns {Generator<number, void, undefined>}
+   */
+  *[Symbol.iterator]() {
+    for (let value = this.start; value < this.end; value++) {
+      yield value;
+    }
+  }
+
+  toString() {
+    return `${this.start}..${this.end}`;
+  }
+}
@@ -10,6 +10,16 @@ export class Reporter {
    */
   #hadError = false;
   #hadRuntimeError = false;
+  /** @readonly */
+  #filename;
+
+  /**
+   * @param {string=} filename Name of the file being processed, which is
+   *    included in error messages. This is used for imported modules.
+   */
+  constructor(filename) {
+    this.#filename = filename;
+  }
 
   get hadError() {
     return this.#hadError;
@@ -33,13 +43,28 @@ export class Reporter {
     }
   }
 
+  /**
+   * Reports a problem that does not prevent the code from running.
+   * @param {Token} token
+   * @param {string} message
+   */
+  warning(token, message) {
+    const location = this.#filename
+      ? `${this.#filename}, line ${token.line}`
+      : `line ${token.line}`;
+    console.error(`[${location}] Warning at '${token.lexeme}': ${message}`);
+  }
+
   /**
    * @param {number} line
    * @param {string} where
    * @param {string} message
    */
   report(line, where, message) {
-    console.error(`[line ${line}] Error${where}: ${message}`);
+    const location = this.#filename
+      ? `${this.#filename}, line ${line}`
+      : `line ${line}`;
+    console.error(`[${location}] Error${where}: ${message}`);
     this.#hadError = true;
   }
 
@@ -47,7 +72,11 @@ export class Reporter {
    * @param {RuntimeError} error
    */
   runtimeError(error) {
-    console.error(`${error.message}\n[line ${error.token.line}]`);
+    // Errors raised by code in an imported module are reported with the name of
+    // the module, which is stored in the token.
+    const { filename, line } = error.token;
+    const location = filename ? `${filename}, line ${line}` : `line ${line}`;
+    console.error(`${error.message}\n[${location}]`);
     this.#hadRuntimeError = true;
   }
 }
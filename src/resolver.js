@@ -3,38 +3,82 @@
  *   Assign,
  *   Binary,
  *   Call,
+ *   CompoundAssign,
+ *   DestructuringAssign,
  *   Expr,
  *   ExprVisitor,
+ *   FunctionExpr,
  *   GetExpr,
  *   Grouping,
+ *   IndexGetExpr,
+ *   IndexSetExpr,
+ *   Interpolation,
+ *   ListExpr,
  *   Literal,
  *   Logical,
+ *   MapExpr,
+ *   OptionalChain,
  *   SetExpr,
+ *   Super,
  *   Ternary,
  *   This,
  *   Unary,
- *   Variable,
+ *   Update,
  * } from "./expression.js";
  * @import { Interpreter, ResolvableExpr } from "./interpreter.js";
+ * @import { Pattern } from "./pattern.js";
  * @import { Reporter } from "./reporter.js";
  * @import {
  *   Block,
+ *   Break,
  *   Class,
+ *   Continue,
+ *   DestructuringVar,
  *   Expression,
+ *   ForIn,
  *   FunctionDecl,
  *   If,
+ *   Import,
+ *   Match,
  *   Print,
  *   Return,
  *   Stmt,
  *   StmtVisitor,
+ *   Throw,
+ *   Trait,
+ *   Try,
  *   Var,
  *   While,
+ *   Yield,
  * } from "./statement.js";
  * @import { Token } from "./token.js";
  */
 
-/** @typedef {'none' | 'class'} ClassType */
-/** @typedef {'none' | 'function' | 'initializer' | 'method'} FunctionType */
+import {
+  destructuringElements,
+  isDestructuringPattern,
+} from "./destructuring.js";
+import { Variable } from "./expression.js";
+import { ClassPattern, isIrrefutable, patternBindings } from "./pattern.js";
+
+/**
+ * Type of the class body being processed. `static` is used for static methods,
+ * which are inside a class body but have no instance to refer to. `trait` is
+ * used for the body of a trait declaration.
+ * @typedef {'none' | 'class' | 'subclass' | 'static' | 'trait'} ClassType
+ */
+/**
+ * @typedef {'none' | 'function' | 'generator' | 'initializer' | 'method'}
+ *    FunctionType
+ */
+/**
+ * What the resolver knows about the value of a variable from its declaration.
+ * This is only recorded for class, function and trait declarations, and is
+ * forgotten when the variable is assigned to. Traits also record the names of
+ * their methods.
+ * @typedef {{ kind: 'class' | 'function' } |
+ *    { kind: 'trait', methods: ReadonlySet<string> }} Declaration
+ */
 
 /**
  * Resolves variable declarations and usages and informs the interpreter.
@@ -62,6 +106,31 @@ export class Resolver {
    * @type {Map<string, boolean>[]}
    */
   #scopes = [];
+  /**
+   * Names of the constants declared in each local scope of {@linkcode #scopes}.
+   * @readonly
+   * @type {Set<string>[]}
+   */
+  #constants = [];
+  /**
+   * Declarations of the variables in each local scope of {@linkcode #scopes},
+   * for the variables whose value is known.
+   * @readonly
+   * @type {Map<string, Declaration>[]}
+   */
+  #declarations = [];
+  /**
+   * Declarations of the global variables whose value is known.
+   * @readonly
+   * @type {Map<string, Declaration>}
+   */
+  #globalDeclarations = new Map();
+  /**
+   * Names of the global constants.
+   * @readonly
+   * @type {Set<string>}
+   */
+  #globalConstants = new Set();
 
   /**
    * Tracks whether the resolver is processing code inside a function body.
@@ -69,6 +138,13 @@ export class Resolver {
    */
   #currentFunction = "none";
 
+  /**
+   * Stack of loops enclosing the code being processed, innermost last.
+   * Each loop is represented by its label, or `undefined` if it has none.
+   * @type {(string | undefined)[]}
+   */
+  #loops = [];
+
   /**
    * Tracks whether the resolver is processing code inside a class body.
    * @type {ClassType}
@@ -95,6 +171,13 @@ export class Resolver {
     this.#endScope();
   }
 
+  /**
+   * @param {Break} stmt
+   */
+  visitBreak(stmt) {
+    this.#checkLoopJump(stmt.keyword, stmt.label);
+  }
+
   /**
    * @param {Class} stmt
    */
@@ -102,22 +185,121 @@ export class Resolver {
     const enclosingClass = this.#currentClass;
     this.#currentClass = "class";
 
-    this.#declare(stmt.name);
+    this.#declare(stmt.name, { kind: "class" });
     this.#define(stmt.name);
 
+    if (stmt.superclass) {
+      if (stmt.superclass.name.lexeme === stmt.name.lexeme) {
+        this.#reporter.error(
+          stmt.superclass.name,
+          "A class can't inherit from itself.",
+        );
+      }
+
+      // Variables may hold a class, so only reject declarations that are
+      // known to be something else.
+      const declaration = this.#lookupDeclaration(stmt.superclass.name);
+      if (declaration && declaration.kind !== "class") {
+        this.#reporter.error(
+          stmt.superclass.name,
+          "Superclass must be a class.",
+        );
+      }
+
+      this.#currentClass = "subclass";
+      this.resolve(stmt.superclass);
+    }
+
+    this.#resolveTraits(stmt);
+
+    if (stmt.superclass) {
+      const superScope = this.#beginScope();
+      superScope.set("super", true);
+    }
+
+    const classType = this.#currentClass;
+    this.#currentClass = "static";
+    for (const method of stmt.staticMethods) {
+      this.#resolveFunction(method, methodType(method));
+    }
+    this.#currentClass = classType;
+
     const variablesInScope = this.#beginScope();
     variablesInScope.set("this", true);
 
     for (const method of stmt.methods) {
-      const declaration =
-        method.name.lexeme === "init" ? "initializer" : "method";
-      this.#resolveFunction(method, declaration);
+      const isInitializer = method.name.lexeme === "init";
+      if (isInitializer && method.generator) {
+        this.#reporter.error(
+          method.name,
+          "An initializer can't be a generator.",
+        );
+      }
+      this.#resolveFunction(
+        method,
+        isInitializer && !method.generator ? "initializer" : methodType(method),
+      );
     }
 
     this.#endScope();
+
+    if (stmt.superclass) {
+      this.#endScope();
+    }
+
     this.#currentClass = enclosingClass;
   }
 
+  /**
+   * Resolves the traits included by a class, and reports methods that are
+   * defined by more than one trait but not overridden by the class.
+   * @param {Class} stmt
+   */
+  #resolveTraits(stmt) {
+    const overridden = new Set(
+      stmt.methods.map((method) => method.name.lexeme),
+    );
+    /**
+     * Name of the trait that each method comes from
+     * @type {Map<string, string>}
+     */
+    const origins = new Map();
+
+    for (const trait of stmt.traits) {
+      this.resolve(trait);
+
+      // Variables may hold a trait, so only reject declarations that are
+      // known to be something else.
+      const declaration = this.#lookupDeclaration(trait.name);
+      if (declaration && declaration.kind !== "trait") {
+        this.#reporter.error(
+          trait.name,
+          "Only traits can be used in a 'with' clause.",
+        );
+        continue;
+      }
+
+      const traitName = trait.name.lexeme;
+      for (const name of declaration?.methods ?? []) {
+        const origin = origins.get(name);
+        if (origin && origin !== traitName && !overridden.has(name)) {
+          this.#reporter.error(
+            trait.name,
+            `Method '${name}' is defined by both trait '${origin}' and trait '${traitName}'.`,
+          );
+        }
+        origins.set(name, traitName);
+      }
+    }
+  }
+
+  /**
+   * @param {Continue} stmt
+   */
+  visitContinue(stmt) {
+    this.#checkLoopJump(stmt.keyword, stmt.label);
+  }
+
   /**
    * @param {Expression} stmt
    */
@@ -125,15 +307,34 @@ export class Resolver {
     this.resolve(stmt.expression);
   }
 
+  /**
+   * @param {ForIn} stmt
+   */
+  visitForIn(stmt) {
+    this.#checkLoopLabel(stmt.label);
+
+    this.resolve(stmt.iterable);
+
+    // The loop variable lives in its own scope, so that each iteration can
+    // bind it to a fresh variable.
+    this.#beginScope();
+    this.#declare(stmt.name);
+    this.#define(stmt.name);
+    this.#loops.push(stmt.label?.lexeme);
+    this.resolve(stmt.body);
+    this.#loops.pop();
+    this.#endScope();
+  }
+
   /**
    * @param {FunctionDecl} stmt
    */
   visitFunctionDecl(stmt) {
     // A function is defined immediately when it is declared.
-    this.#declare(stmt.name);
+    this.#declare(stmt.name, { kind: "function" });
     this.#define(stmt.name);
 
-    this.#resolveFunction(stmt, "function");
+    this.#resolveFunction(stmt, stmt.generator ? "generator" : "function");
   }
 
   /**
@@ -146,6 +347,98 @@ export class Resolver {
     }
   }
 
+  /**
+   * @param {Import} stmt
+   */
+  visitImport(stmt) {
+    // The names imported by a bare import statement are only known after the
+    // module is loaded, so we cannot resolve them in local scopes.
+    if (this.#scopes.length > 0) {
+      this.#reporter.error(
+        stmt.keyword,
+        "Can't import inside a block or function.",
+      );
+    }
+
+    // Imported names replace the global variables with the same names.
+    if (stmt.names) {
+      for (const name of stmt.names) {
+        this.#globalDeclarations.delete(name.lexeme);
+      }
+    } else {
+      this.#globalDeclarations.clear();
+    }
+  }
+
+  /**
+   * @param {Match} stmt
+   */
+  visitMatch(stmt) {
+    this.resolve(stmt.subject);
+
+    /** Whether a previous case matches every value */
+    let exhaustive = false;
+    for (const matchCase of stmt.cases) {
+      if (exhaustive) {
+        this.#reporter.warning(
+          matchCase.keyword,
+          "Unreachable case after a wildcard pattern.",
+        );
+      }
+
+      // Patterns are matched in the enclosing scope, before the bindings
+      // exist.
+      for (const pattern of matchCase.patterns) {
+        this.#resolvePattern(pattern);
+      }
+
+      // Pattern bindings are visible in the guard and the body of the case.
+      const scope = this.#beginScope();
+
+      const bindings = matchCase.patterns.flatMap(patternBindings);
+      if (matchCase.patterns.length > 1 && bindings.length > 0) {
+        this.#reporter.error(
+          bindings[0],
+          "Can't bind variables in a case with multiple patterns.",
+        );
+      }
+      for (const name of bindings) {
+        if (scope.has(name.lexeme)) {
+          this.#reporter.error(
+            name,
+            `Duplicate binding '${name.lexeme}' in pattern.`,
+          );
+          continue;
+        }
+        this.#declare(name);
+        this.#define(name);
+      }
+
+      if (matchCase.guard) {
+        this.resolve(matchCase.guard);
+      }
+      this.resolve(matchCase.body);
+      this.#endScope();
+
+      if (!matchCase.guard && matchCase.patterns.some(isIrrefutable)) {
+        exhaustive = true;
+      }
+    }
+  }
+
+  /**
+   * Resolves the class names used in a pattern.
+   * @param {Pattern} pattern
+   */
+  #resolvePattern(pattern) {
+    if (pattern instanceof ClassPattern) {
+      this.resolve(pattern.klass);
+      for (const field of pattern.fields) {
+        this.#resolvePattern(field);
+      }
+    }
+  }
+
   /**
    * @param {Print} stmt
    */
@@ -168,11 +461,135 @@ export class Resolver {
           "Can't return a value from an initializer.",
         );
       }
+      if (this.#currentFunction === "generator") {
+        this.#reporter.error(
+          stmt.keyword,
+          "Can't return a value from a generator.",
+        );
+      }
 
       this.resolve(stmt.value);
     }
   }
 
+  /**
+   * @param {Yield} stmt
+   */
+  visitYield(stmt) {
+    if (this.#currentFunction !== "generator") {
+      this.#reporter.error(
+        stmt.keyword,
+        "Can't yield outside a generator function.",
+      );
+    }
+    if (stmt.value) {
+      this.resolve(stmt.value);
+    }
+  }
+
+  /**
+   * @param {Throw} stmt
+   */
+  visitThrow(stmt) {
+    this.resolve(stmt.value);
+  }
+
+  /**
+   * @param {Trait} stmt
+   */
+  visitTrait(stmt) {
+    this.#declare(stmt.name, {
+      kind: "trait",
+      methods: new Set(stmt.methods.map((method) => method.name.lexeme)),
+    });
+    this.#define(stmt.name);
+
+    const enclosingClass = this.#currentClass;
+    this.#currentClass = "trait";
+
+    const variablesInScope = this.#beginScope();
+    variablesInScope.set("this", true);
+
+    for (const method of stmt.methods) {
+      if (method.name.lexeme === "init") {
+        this.#reporter.error(
+          method.name,
+          "Can't declare an initializer in a trait.",
+        );
+      }
+      this.#resolveFunction(method, methodType(method));
+    }
+
+    this.#endScope();
+    this.#currentClass = enclosingClass;
+  }
+
+  /**
+   * @param {Try} stmt
+   */
+  visitTry(stmt) {
+    this.#beginScope();
+    this.resolve(...stmt.tryBlock);
+    this.#endScope();
+
+    if (stmt.catchBlock) {
+      // The error variable shares its scope with the catch block.
+      this.#beginScope();
+      if (stmt.catchParam) {
+        this.#declare(stmt.catchParam);
+        this.#define(stmt.catchParam);
+      }
+      this.resolve(...stmt.catchBlock);
+      this.#endScope();
+    }
+
+    if (stmt.finallyBlock) {
+      this.#beginScope();
+      this.resolve(...stmt.finallyBlock);
+      this.#endScope();
+    }
+  }
+
+  /**
+   * @param {DestructuringVar} stmt
+   */
+  visitDestructuringVar(stmt) {
+    const elements = destructuringElements(stmt.pattern);
+    const names = elements.flatMap(({ target }) =>
+      target instanceof Variable ? [target.name] : [],
+    );
+
+    /** @type {Set<Token>} */
+    const declared = new Set();
+    for (const name of names) {
+      if (this.#scopes.at(-1)?.has(name.lexeme)) {
+        this.#reporter.error(
+          name,
+          `Duplicate variable '${name.lexeme}' in destructuring pattern.`,
+        );
+        continue;
+      }
+      this.#declare(name);
+      declared.add(name);
+    }
+
+    this.resolve(stmt.initializer);
+
+    // The variables are defined one by one, so that a default value can refer
+    // to the variables before it.
+    for (const { target, defaultValue } of elements) {
+      if (defaultValue) {
+        this.resolve(defaultValue);
+      }
+      if (target instanceof Variable && declared.has(target.name)) {
+        this.#define(target.name);
+        if (stmt.constant) {
+          this.#markConstant(target.name);
+        }
+      }
+    }
+  }
+
   /**
    * @param {Var} stmt
    */
@@ -182,13 +599,26 @@ export class Resolver {
       this.resolve(stmt.initializer);
     }
     this.#define(stmt.name);
+    if (stmt.constant) {
+      this.#markConstant(stmt.name);
+    }
   }
 
   /**
    * @param {While} stmt
    */
   visitWhile(stmt) {
-    this.resolve(stmt.condition, stmt.body);
+    this.#checkLoopLabel(stmt.label);
+
+    this.resolve(stmt.condition);
+
+    this.#loops.push(stmt.label?.lexeme);
+    this.resolve(stmt.body);
+    this.#loops.pop();
+
+    if (stmt.increment) {
+      this.resolve(stmt.increment);
+    }
   }
 
   /**
@@ -196,6 +626,7 @@ export class Resolver {
    */
   visitAssign(expr) {
     this.resolve(expr.value);
+    this.#checkAssignable(expr.name);
     this.#resolveLocal(expr, expr.name);
   }
 
@@ -213,6 +644,43 @@ export class Resolver {
     this.resolve(expr.callee, ...expr.args);
   }
 
+  /**
+   * @param {CompoundAssign} expr
+   */
+  visitCompoundAssign(expr) {
+    this.resolve(expr.target, expr.value);
+    if (expr.target instanceof Variable) {
+      this.#checkAssignable(expr.target.name);
+    }
+  }
+
+  /**
+   * @param {DestructuringAssign} expr
+   */
+  visitDestructuringAssign(expr) {
+    this.resolve(expr.value);
+    for (const { target, defaultValue } of destructuringElements(
+      expr.pattern,
+    )) {
+      if (target instanceof Variable) {
+        this.#checkAssignable(target.name);
+      }
+      if (!isDestructuringPattern(target)) {
+        this.resolve(target);
+      }
+      if (defaultValue) {
+        this.resolve(defaultValue);
+      }
+    }
+  }
+
+  /**
+   * @param {FunctionExpr} expr
+   */
+  visitFunctionExpr(expr) {
+    this.#resolveFunction(expr, expr.generator ? "generator" : "function");
+  }
+
   /**
    * @param {GetExpr} expr
    */
@@ -227,6 +695,34 @@ export class Resolver {
     this.resolve(expr.expression);
   }
 
+  /**
+   * @param {IndexGetExpr} expr
+   */
+  visitIndexGetExpr(expr) {
+    this.resolve(expr.object, expr.index);
+  }
+
+  /**
+   * @param {IndexSetExpr} expr
+   */
+  visitIndexSetExpr(expr) {
+    this.resolve(expr.value, expr.object, expr.index);
+  }
+
+  /**
+   * @param {Interpolation} expr
+   */
+  visitInterpolation(expr) {
+    this.resolve(...expr.parts);
+  }
+
+  /**
+   * @param {ListExpr} expr
+   */
+  visitListExpr(expr) {
+    this.resolve(...expr.elements);
+  }
+
   /**
    * @param {Literal} _expr
    */
@@ -241,6 +737,20 @@ export class Resolver {
     this.resolve(expr.left, expr.right);
   }
 
+  /**
+   * @param {MapExpr} expr
+   */
+  visitMapExpr(expr) {
+    this.resolve(...expr.entries.flat());
+  }
+
+  /**
+   * @param {OptionalChain} expr
+   */
+  visitOptionalChain(expr) {
+    this.resolve(expr.expression);
+  }
+
   /**
    * @param {SetExpr} expr
    */
@@ -248,6 +758,39 @@ export class Resolver {
     this.resolve(expr.value, expr.object);
   }
 
+  /**
+   * @param {Super} expr
+   */
+  visitSuper(expr) {
+    if (this.#currentClass === "none") {
+      this.#reporter.error(
+        expr.keyword,
+        "Can't use 'super' outside of a class.",
+      );
+      return;
+    }
+    if (this.#currentClass === "static") {
+      this.#reporter.error(
+        expr.keyword,
+        "Can't use 'super' in a static method.",
+      );
+      return;
+    }
+    if (this.#currentClass === "trait") {
+      this.#reporter.error(expr.keyword, "Can't use 'super' in a trait.");
+      return;
+    }
+    if (this.#currentClass !== "subclass") {
+      this.#reporter.error(
+        expr.keyword,
+        "Can't use 'super' in a class with no superclass.",
+      );
+      return;
+    }
+
+    this.#resolveLocal(expr, expr.keyword);
+  }
+
   /**
    * @param {Ternary} expr
    */
@@ -263,6 +806,13 @@ export class Resolver {
       this.#reporter.error(expr.keyword, "Can't use 'this' outside of class.");
       return;
     }
+    if (this.#currentClass === "static") {
+      this.#reporter.error(
+        expr.keyword,
+        "Can't use 'this' in a static method, since there is no instance.",
+      );
+      return;
+    }
 
     this.#resolveLocal(expr, expr.keyword);
   }
@@ -274,6 +824,16 @@ export class Resolver {
     this.resolve(expr.right);
   }
 
+  /**
+   * @param {Update} expr
+   */
+  visitUpdate(expr) {
+    this.resolve(expr.target);
+    if (expr.target instanceof Variable) {
+      this.#checkAssignable(expr.target.name);
+    }
+  }
+
   /**
    * @param {Variable} expr
    */
@@ -302,22 +862,69 @@ export class Resolver {
   }
 
   /**
-   * Resolves the body of a function declaration statement.
-   * @param {FunctionDecl} stmt
+   * Reports an error if a loop label is already used by an enclosing loop.
+   * @param {Token=} label
+   */
+  #checkLoopLabel(label) {
+    if (label && this.#loops.includes(label.lexeme)) {
+      this.#reporter.error(
+        label,
+        `Label '${label.lexeme}' is already used by an enclosing loop.`,
+      );
+    }
+  }
+
+  /**
+   * Checks that a break/continue statement is inside a loop, and that its
+   * label (if any) refers to an enclosing loop.
+   * @param {Token} keyword
+   * @param {Token=} label
+   */
+  #checkLoopJump(keyword, label) {
+    if (this.#loops.length === 0) {
+      this.#reporter.error(
+        keyword,
+        `Can't use '${keyword.lexeme}' outside of a loop.`,
+      );
+      return;
+    }
+
+    if (label && !this.#loops.includes(label.lexeme)) {
+      this.#reporter.error(label, `Undefined loop label '${label.lexeme}'.`);
+    }
+  }
+
+  /**
+   * Resolves the body of a function declaration statement or an anonymous
+   * function expression.
+   * @param {FunctionDecl | FunctionExpr} stmt
    * @param {FunctionType} functionType
    */
   #resolveFunction(stmt, functionType) {
     const enclosingFunction = this.#currentFunction;
     this.#currentFunction = functionType;
+    // Loops outside the function cannot be targeted by break/continue inside
+    // the function body.
+    const enclosingLoops = this.#loops;
+    this.#loops = [];
 
     this.#beginScope();
     for (const param of stmt.params) {
-      this.#declare(param);
-      this.#define(param);
+      // A default value can refer to the parameters before it.
+      if (param.defaultValue) {
+        this.resolve(param.defaultValue);
+      }
+      this.#declare(param.name);
+      this.#define(param.name);
+    }
+    if (stmt.rest) {
+      this.#declare(stmt.rest);
+      this.#define(stmt.rest);
     }
     this.resolve(...stmt.body);
     this.#endScope();
 
+    this.#loops = enclosingLoops;
     this.#currentFunction = enclosingFunction;
   }
 
@@ -328,6 +935,8 @@ export class Resolver {
   #beginScope() {
     const variablesInScope = new Map();
     this.#scopes.push(variablesInScope);
+    this.#constants.push(new Set());
+    this.#declarations.push(new Map());
     return variablesInScope;
   }
 
@@ -335,6 +944,8 @@ export class Resolver {
    * Ends the current scope.
    */
   #endScope() {
+    this.#constants.pop();
+    this.#declarations.pop();
     if (!this.#scopes.pop()) {
       throw new Error("Scope stack is empty.");
     }
@@ -344,21 +955,62 @@ export class Resolver {
    * Declares a new variable in the current scope.
    * The variable is not defined yet; accessing it is an error.
    * @param {Token} name
+   * @param {Declaration=} declaration What is known about the value of the
+   *    variable, if anything
    */
-  #declare(name) {
+  #declare(name, declaration) {
+    const constants = this.#constants.at(-1) ?? this.#globalConstants;
+    const redeclaresConstant = constants.has(name.lexeme);
+    if (redeclaresConstant) {
+      this.#reporter.error(name, `Can't redeclare constant '${name.lexeme}'.`);
+    }
+
     const scope = this.#scopes.at(-1);
     if (!scope) {
-      // If we are declaring a global variable, do nothing.
+      // Global variables are not tracked, except for their declaration, which
+      // replaces the previous one.
+      if (declaration) {
+        this.#globalDeclarations.set(name.lexeme, declaration);
+      } else {
+        this.#globalDeclarations.delete(name.lexeme);
+      }
       return;
     }
 
     const prevSize = scope.size;
     scope.set(name.lexeme, false);
-    if (scope.size === prevSize) {
+    if (scope.size === prevSize && !redeclaresConstant) {
       throw new Error(
         `Variable '${name.lexeme}' already declared in this scope.`,
       );
     }
+    if (declaration) {
+      this.#declarations.at(-1)?.set(name.lexeme, declaration);
+    }
+  }
+
+  /**
+   * Marks a variable in the current scope as a constant, which can't be
+   * reassigned or redeclared.
+   * @param {Token} name
+   */
+  #markConstant(name) {
+    (this.#constants.at(-1) ?? this.#globalConstants).add(name.lexeme);
+  }
+
+  /**
+   * Finds the declaration of the variable that {@linkcode name} refers to.
+   * @param {Token} name
+   * @returns {Declaration | undefined} The declaration, or `undefined` if the
+   *    value of the variable is not known
+   */
+  #lookupDeclaration(name) {
+    for (let i = this.#scopes.length - 1; i >= 0; i--) {
+      if (this.#scopes[i].has(name.lexeme)) {
+        return this.#declarations[i].get(name.lexeme);
+      }
+    }
+    return this.#globalDeclarations.get(name.lexeme);
   }
 
   /**
@@ -385,6 +1037,29 @@ export class Resolver {
     currentScope.set(name.lexeme, true);
   }
 
+  /**
+   * Reports an error if {@linkcode name} refers to a local constant.
+   * Global constants are checked at runtime instead.
+   * Since the variable is assigned to, its declaration no longer tells what
+   * value it holds, so the declaration is forgotten.
+   * @param {Token} name
+   */
+  #checkAssignable(name) {
+    for (let i = this.#scopes.length - 1; i >= 0; i--) {
+      if (this.#scopes[i].has(name.lexeme)) {
+        if (this.#constants[i].has(name.lexeme)) {
+          this.#reporter.error(
+            name,
+            `Can't assign to constant '${name.lexeme}'.`,
+          );
+        }
+        this.#declarations[i].delete(name.lexeme);
+        return;
+      }
+    }
+    this.#globalDeclarations.delete(name.lexeme);
+  }
+
   /**
    * Resolves a variable {@linkcode name} in the expression {@linkcode expr} and
    * feeds the resolution information to the interpreter.
@@ -401,3 +1076,12 @@ export class Resolver {
     }
   }
 }
+
+/**
+ * Returns the function type of a method that is not an initializer.
+ * @param {FunctionDecl} method
+ * @returns {FunctionType}
+ */
+function methodType(method) {
+  return method.generator ? "generator" : "method";
+}
@@ -1,14 +1,23 @@
 /**
  * @import { Token } from "./token.js";
+ * @import { LoxValue } from "./value.js";
  */
 
 export class RuntimeError extends Error {
   /**
    * @param {Token} token
    * @param {string} message
+   * @param {LoxValue=} value Value thrown by a throw statement, or `undefined`
+   *    if the error was raised by the interpreter itself
    */
-  constructor(token, message) {
+  constructor(token, message, value) {
     super(message);
     this.token = token;
+    /**
+     * Value thrown by a throw statement, or `undefined` if the error was
+     * raised by the interpreter itself
+     * @readonly
+     */
+    this.value = value;
   }
 }
@@ -6,21 +6,75 @@ import { Token } from "./token.js";
 /** @type {Record<string, TokenType>} */
 const KEYWORDS = {
   and: "AND",
+  break: "BREAK",
+  case: "CASE",
+  catch: "CATCH",
   class: "CLASS",
+  const: "CONST",
+  continue: "CONTINUE",
   else: "ELSE",
   false: "FALSE",
+  finally: "FINALLY",
   for: "FOR",
   fun: "FUN",
   if: "IF",
+  import: "IMPORT",
+  in: "IN",
+  match: "MATCH",
   nil: "NIL",
   or: "OR",
   print: "PRINT",
   return: "RETURN",
   super: "SUPER",
   this: "THIS",
+  throw: "THROW",
+  trait: "TRAIT",
   true: "TRUE",
+  try: "TRY",
   var: "VAR",
   while: "WHILE",
+  with: "WITH",
+  yield: "YIELD",
+};
+
+/**
+ * @typedef {object} Radix
+ * @property {number} base
+ * @property {string} name Name of the literal, used in error messages
+ * @property {(c: string | null) => boolean} isValidDigit
+ */
+
+/**
+ * @typedef {object} Interpolation
+ * @property {number} braces Number of unmatched left braces inside the
+ *    interpolated expression, so that we know which right brace closes it
+ * @property {StringSegment[]=} segments If the interpolation is inside a
+ *    triple-quoted string, the text segments of the string scanned so far
+ */
+
+/**
+ * Text of a triple-quoted string that comes before an interpolated expression.
+ * Its INTERPOLATION token only gets its value once the whole string is
+ * scanned, since the indentation to remove depends on all of the lines.
+ * @typedef {object} StringSegment
+ * @property {string} text
+ * @property {number} line Line number where the text begins
+ * @property {number} tokenIndex Index of the INTERPOLATION token in the list of
+ *    tokens
+ */
+
+/**
+ * Maps the letter after the leading `0` of an integer literal to its radix.
+ * @type {Readonly<Record<string, Radix>>}
+ */
+const RADIX_PREFIXES = {
+  x: { base: 16, name: "hexadecimal", isValidDigit: isHexDigit },
+  b: { base: 2, name: "binary", isValidDigit: (c) => c === "0" || c === "1" },
+  o: {
+    base: 8,
+    name: "octal",
+    isValidDigit: (c) => isDigit(c) && c !== "8" && c !== "9",
+  },
 };
 
 export class Scanner {
@@ -29,6 +83,8 @@ export class Scanner {
 
   /** @readonly */
   #source;
+  /** @readonly */
+  #filename;
   /** @type {Token[]} */
   #tokens = [];
 
@@ -41,13 +97,23 @@ export class Scanner {
   /** Current line number */
   #line = 1;
 
+  /**
+   * Stack of string interpolations (`${...}`) that are currently open,
+   * innermost last.
+   * @type {Interpolation[]}
+   */
+  #interpolations = [];
+
   /**
    * @param {string} source
    * @param {Reporter} reporter
+   * @param {string=} filename Name of the file being scanned, which is stored
+   *    in the tokens. This is used for imported modules.
    */
-  constructor(source, reporter) {
+  constructor(source, reporter, filename) {
     this.#source = source;
     this.#reporter = reporter;
+    this.#filename = filename;
   }
 
   /**
@@ -60,7 +126,7 @@ export class Scanner {
       this.#scanToken();
     }
 
-    this.#tokens.push(new Token("EOF", "", null, this.#line));
+    this.#tokens.push(new Token("EOF", "", null, this.#line, this.#filename));
     return this.#tokens;
   }
 
@@ -74,32 +140,83 @@ export class Scanner {
       case ")":
         this.#addToken("RIGHT_PAREN");
         break;
-      case "{":
+      case "{": {
+        const interpolation = this.#interpolations.at(-1);
+        if (interpolation) {
+          interpolation.braces++;
+        }
         this.#addToken("LEFT_BRACE");
         break;
-      case "}":
-        this.#addToken("RIGHT_BRACE");
+      }
+      case "}": {
+        const interpolation = this.#interpolations.at(-1);
+        if (interpolation?.braces === 0) {
+          // This brace closes an interpolated expression, so we resume
+          // scanning the rest of the string.
+          this.#interpolations.pop();
+          if (interpolation.segments) {
+            this.#multilineString(false, interpolation.segments);
+          } else {
+            this.#singleLineString(false);
+          }
+        } else {
+          if (interpolation) {
+            interpolation.braces--;
+          }
+          this.#addToken("RIGHT_BRACE");
+        }
+        break;
+      }
+      case "[":
+        this.#addToken("LEFT_BRACKET");
+        break;
+      case "]":
+        this.#addToken("RIGHT_BRACKET");
         break;
       case ",":
         this.#addToken("COMMA");
         break;
       case ".":
-        this.#addToken("DOT");
+        if (this.#match(".")) {
+          this.#addToken(this.#match(".") ? "ELLIPSIS" : "DOT_DOT");
+        } else {
+          this.#addToken("DOT");
+        }
         break;
       case "-":
-        this.#addToken("MINUS");
+        if (this.#match("-")) this.#addToken("MINUS_MINUS");
+        else this.#addToken(this.#match("=") ? "MINUS_EQUAL" : "MINUS");
         break;
       case "+":
-        this.#addToken("PLUS");
+        if (this.#match("+")) this.#addToken("PLUS_PLUS");
+        else this.#addToken(this.#match("=") ? "PLUS_EQUAL" : "PLUS");
+        break;
+      case "%":
+        this.#addToken(this.#match("=") ? "PERCENT_EQUAL" : "PERCENT");
+        break;
+      case "&":
+        this.#addToken("AMPERSAND");
+        break;
+      case "|":
+        this.#addToken("PIPE");
+        break;
+      case "^":
+        this.#addToken("CARET");
+        break;
+      case "~":
+        this.#addToken(this.#match("/") ? "TILDE_SLASH" : "TILDE");
         break;
       case ";":
         this.#addToken("SEMICOLON");
         break;
       case "*":
-        this.#addToken("STAR");
+        if (this.#match("*")) this.#addToken("STAR_STAR");
+        else this.#addToken(this.#match("=") ? "STAR_EQUAL" : "STAR");
         break;
       case "?":
-        this.#addToken("QUESTION");
+        if (this.#match(".")) this.#addToken("QUESTION_DOT");
+        else
+          this.#addToken(this.#match("?") ? "QUESTION_QUESTION" : "QUESTION");
         break;
       case ":":
         this.#addToken("COLON");
@@ -108,20 +225,30 @@ export class Scanner {
         this.#addToken(this.#match("=") ? "BANG_EQUAL" : "BANG");
         break;
       case "=":
-        this.#addToken(this.#match("=") ? "EQUAL_EQUAL" : "EQUAL");
+        this.#addToken(
+          this.#match("=")
+            ? "EQUAL_EQUAL"
+            : this.#match(">")
+              ? "ARROW"
+              : "EQUAL",
+        );
         break;
       case "<":
-        this.#addToken(this.#match("=") ? "LESS_EQUAL" : "LESS");
+        if (this.#match("<")) this.#addToken("LESS_LESS");
+        else this.#addToken(this.#match("=") ? "LESS_EQUAL" : "LESS");
         break;
       case ">":
-        this.#addToken(this.#match("=") ? "GREATER_EQUAL" : "GREATER");
+        if (this.#match(">")) this.#addToken("GREATER_GREATER");
+        else this.#addToken(this.#match("=") ? "GREATER_EQUAL" : "GREATER");
         break;
       case "/":
-        if (this.#match("/")) {
+        if (this.#match("*")) {
+          this.#blockComment();
+        } else if (this.#match("/")) {
           // A comment goes until the end of the line.
           while (this.#peek() !== "\n" && !this.#isAtEnd()) this.#advance();
         } else {
-          this.#addToken("SLASH");
+          this.#addToken(this.#match("=") ? "SLASH_EQUAL" : "SLASH");
         }
         break;
 
@@ -135,11 +262,15 @@ export class Scanner {
         break;
 
       case '"':
-        this.#string();
+        this.#string(false);
         break;
 
       default:
-        if (isDigit(c)) {
+        if (c === "r" && this.#peek() === '"') {
+          // Raw string literal (e.g. r"C:\path")
+          this.#advance();
+          this.#string(true);
+        } else if (isDigit(c)) {
           this.#number();
         } else if (isAlpha(c)) {
           this.#identifier();
@@ -202,25 +333,127 @@ export class Scanner {
     return this.#source[this.#current + 1];
   }
 
+  /**
+   * Skips a block comment. The opening '/*' must already be consumed.
+   * Block comments can be nested.
+   */
+  #blockComment() {
+    const startLine = this.#line;
+    let depth = 1;
+
+    while (depth > 0) {
+      if (this.#isAtEnd()) {
+        this.#reporter.error(startLine, "Unterminated block comment.");
+        return;
+      }
+
+      if (this.#source.startsWith("/*", this.#current)) {
+        this.#current += 2;
+        depth++;
+      } else if (this.#source.startsWith("*/", this.#current)) {
+        this.#current += 2;
+        depth--;
+      } else if (this.#advance() === "\n") {
+        this.#line++;
+      }
+    }
+  }
+
   /**
    * Adds the current lexeme to the list of tokens.
    * @param {TokenType} type
-   * @param {number | string | null} literal
+   * @param {bigint | number | string | null} literal
    */
   #addToken(type, literal = null) {
     const text = this.#source.slice(this.#start, this.#current);
-    this.#tokens.push(new Token(type, text, literal, this.#line));
+    this.#tokens.push(
+      new Token(type, text, literal, this.#line, this.#filename),
+    );
   }
 
   /**
-   * Parses a string literal.
+   * Parses a string literal. The opening quote must already be consumed.
+   * @param {boolean} raw If true, escape sequences are not processed.
    */
-  #string() {
-    while (this.#peek() !== '"' && !this.#isAtEnd()) {
-      if (this.#peek() === "\n") {
-        this.#line++;
-      }
+  #string(raw) {
+    if (this.#source.startsWith('""', this.#current)) {
+      // Consume the rest of the opening '"""'
+      this.#current += 2;
+      this.#multilineString(raw);
+    } else {
+      this.#singleLineString(raw);
+    }
+  }
+
+  /**
+   * Parses the contents of a double-quoted string literal, up to and including
+   * the closing quote.
+   *
+   * If a non-raw string contains an interpolated expression (`${...}`), this
+   * only scans the text up to the `${` and emits it as an INTERPOLATION token.
+   * The expression is then scanned as regular tokens, and the rest of the
+   * string is scanned when the matching `}` is reached.
+   * @param {boolean} raw If true, escape sequences and interpolated
+   *    expressions are not processed.
+   */
+  #singleLineString(raw) {
+    const startLine = this.#line;
+    const contentStart = this.#current;
+
+    while (
+      this.#peek() !== '"' &&
+      !this.#isAtEnd() &&
+      (raw || !this.#source.startsWith("${", this.#current))
+    ) {
+      this.#advanceInString(raw);
+    }
+
+    if (this.#isAtEnd()) {
+      this.#reporter.error(this.#line, "Unterminated string.");
+      return;
+    }
+
+    const text = this.#source.slice(contentStart, this.#current);
+    const value = raw ? text : this.#unescape(text, startLine);
+
+    if (this.#peek() === '"') {
+      // Closing '"'
       this.#advance();
+      this.#addToken("STRING", value);
+    } else {
+      // Opening '${'
+      this.#current += 2;
+      this.#interpolations.push({ braces: 0 });
+      this.#addToken("INTERPOLATION", value);
+    }
+  }
+
+  /**
+   * Parses a triple-quoted multi-line string literal. The opening '"""' must
+   * already be consumed.
+   *
+   * The first line is dropped if it is empty (i.e. the text starts on the line
+   * after the opening quotes), as is the last line if it contains only
+   * whitespace. The indentation common to all non-blank lines is removed.
+   *
+   * Interpolated expressions are scanned like in {@linkcode #singleLineString},
+   * except that the values of the INTERPOLATION tokens are only set when the
+   * closing quotes are reached.
+   * @param {boolean} raw If true, escape sequences and interpolated
+   *    expressions are not processed.
+   * @param {StringSegment[]=} segments Text segments of the string before the
+   *    interpolated expression that was just scanned, if any
+   */
+  #multilineString(raw, segments = []) {
+    const line = this.#line;
+    const contentStart = this.#current;
+
+    while (
+      !this.#source.startsWith('"""', this.#current) &&
+      !this.#isAtEnd() &&
+      (raw || !this.#source.startsWith("${", this.#current))
+    ) {
+      this.#advanceInString(raw);
     }
 
     if (this.#isAtEnd()) {
@@ -228,35 +461,315 @@ export class Scanner {
       return;
     }
 
-    // Closing '"'
-    this.#advance();
+    const text = this.#source.slice(contentStart, this.#current);
+
+    if (!this.#source.startsWith('"""', this.#current)) {
+      // Opening '${'
+      this.#current += 2;
+      segments.push({ text, line, tokenIndex: this.#tokens.length });
+      this.#interpolations.push({ braces: 0, segments });
+      this.#addToken("INTERPOLATION", "");
+      return;
+    }
+
+    // Closing '"""'
+    this.#current += 3;
+
+    const values = this.#dedent([...segments, { text, line }], raw);
+    for (const [i, { tokenIndex }] of segments.entries()) {
+      const token = this.#tokens[tokenIndex];
+      this.#tokens[tokenIndex] = new Token(
+        token.type,
+        token.lexeme,
+        values[i],
+        token.line,
+        token.filename,
+      );
+    }
+    this.#addToken("STRING", values[values.length - 1]);
+  }
 
-    const value = this.#source.slice(this.#start + 1, this.#current - 1);
-    this.#addToken("STRING", value);
+  /**
+   * Removes the layout of a triple-quoted string from its text segments, which
+   * are separated by interpolated expressions, and processes escape sequences.
+   * A line that ends with an interpolated expression is never blank.
+   * @param {{ text: string, line: number }[]} segments
+   * @param {boolean} raw
+   * @returns {string[]} Value of each segment
+   */
+  #dedent(segments, raw) {
+    const lines = segments.map(({ text }) => text.split("\n"));
+    const first = lines[0];
+    const last = lines[lines.length - 1];
+
+    const dropFirst = first.length > 1 && first[0].trim() === "";
+    const dropLast =
+      last.length > (last === first && dropFirst ? 2 : 1) &&
+      last[last.length - 1].trim() === "";
+
+    /**
+     * Returns whether the part of a segment at the given position starts a
+     * line of the string, and if so, whether that line is blank.
+     * @param {number} i Index of the segment
+     * @param {number} j Index of the part in the segment
+     * @returns {'none' | 'blank' | 'text'}
+     */
+    const lineStart = (i, j) => {
+      if (j === 0 && i > 0) {
+        // The part continues the line of the interpolated expression.
+        return "none";
+      }
+      const endsWithExpression =
+        j === lines[i].length - 1 && i < lines.length - 1;
+      return lines[i][j].trim() === "" && !endsWithExpression
+        ? "blank"
+        : "text";
+    };
+
+    const indent = Math.min(
+      ...lines.flatMap((parts, i) =>
+        parts.map((part, j) =>
+          lineStart(i, j) === "text"
+            ? part.length - part.trimStart().length
+            : Infinity,
+        ),
+      ),
+    );
+
+    return lines.map((parts, i) => {
+      const values = parts.map((part, j) => {
+        const kind = lineStart(i, j);
+        const dedented =
+          kind === "none" ? part : kind === "blank" ? "" : part.slice(indent);
+        return raw ? dedented : this.#unescape(dedented, segments[i].line + j);
+      });
+      if (i === 0 && dropFirst) {
+        values.shift();
+      }
+      if (i === lines.length - 1 && dropLast) {
+        values.pop();
+      }
+      return values.join("\n");
+    });
   }
 
   /**
-   * Parses a number literal.
+   * Consumes a character inside a string literal, along with the character
+   * after it if it is the start of an escape sequence.
+   * Keeps the line counter up to date.
+   * @param {boolean} raw
+   */
+  #advanceInString(raw) {
+    const c = this.#advance();
+    if (c === "\n") {
+      this.#line++;
+    } else if (c === "\\" && !raw && !this.#isAtEnd()) {
+      // Skip the escaped character, so that '\"' does not end the string.
+      if (this.#advance() === "\n") {
+        this.#line++;
+      }
+    }
+  }
+
+  /**
+   * Replaces escape sequences in the contents of a string literal with the
+   * characters they represent. Invalid escape sequences are reported and
+   * removed.
+   * @param {string} text
+   * @param {number} line Line number where {@linkcode text} begins
+   * @returns {string}
+   */
+  #unescape(text, line) {
+    let result = "";
+
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (c === "\n") {
+        line++;
+      }
+      if (c !== "\\") {
+        result += c;
+        continue;
+      }
+
+      const escaped = text[++i];
+      switch (escaped) {
+        case "n":
+          result += "\n";
+          break;
+        case "t":
+          result += "\t";
+          break;
+        case "r":
+          result += "\r";
+          break;
+        case "0":
+          result += "\0";
+          break;
+        case '"':
+        case "$":
+        case "\\":
+          result += escaped;
+          break;
+        case "u": {
+          const match = /^\{([0-9A-Fa-f]{1,6})\}/.exec(text.slice(i + 1));
+          if (!match) {
+            this.#reporter.error(
+              line,
+              "Invalid Unicode escape sequence. Expected '\\u{XXXX}' with 1 to 6 hex digits.",
+            );
+            break;
+          }
+
+          const codePoint = Number.parseInt(match[1], 16);
+          if (codePoint > 0x10ffff) {
+            this.#reporter.error(
+              line,
+              `Unicode code point '${match[1]}' is out of range.`,
+            );
+          } else {
+            result += String.fromCodePoint(codePoint);
+          }
+          i += match[0].length;
+          break;
+        }
+        case undefined:
+        case "\n":
+          // Line continuations are not supported.
+          this.#reporter.error(line, "Invalid escape sequence at end of line.");
+          if (escaped === "\n") {
+            line++;
+          }
+          break;
+        default:
+          this.#reporter.error(line, `Invalid escape sequence '\\${escaped}'.`);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Parses a number literal. Besides decimal literals with an optional fraction
+   * and exponent (`1.5e-3`), this supports hexadecimal (`0xFF`), binary
+   * (`0b1010`) and octal (`0o17`) integer literals. Digits can be separated by
+   * underscores (`1_000_000`). An integer literal with the suffix `n` (`123n`)
+   * is a BigInt.
    */
   #number() {
-    while (isDigit(this.#peek())) {
+    const radix = RADIX_PREFIXES[this.#peek()?.toLowerCase() ?? ""];
+    if (this.#source[this.#start] === "0" && radix) {
+      // Consume the prefix letter.
       this.#advance();
+      this.#radixNumber(radix);
+      return;
     }
 
+    this.#digits(isDigit);
+    let isInteger = true;
+
     // Look for a fractional part.
     if (this.#peek() === "." && isDigit(this.#peekNext())) {
       // Consume the ".".
       this.#advance();
+      this.#digits(isDigit);
+      isInteger = false;
+    }
 
-      while (isDigit(this.#peek())) {
+    // Look for an exponent.
+    if (this.#peek() === "e" || this.#peek() === "E") {
+      this.#advance();
+      if (this.#peek() === "+" || this.#peek() === "-") {
         this.#advance();
       }
+      if (!isDigit(this.#peek())) {
+        this.#reporter.error(this.#line, "Expected digits in exponent.");
+      }
+      this.#digits(isDigit);
+      isInteger = false;
     }
 
-    const value = Number.parseFloat(
-      this.#source.slice(this.#start, this.#current),
-    );
-    this.#addToken("NUMBER", value);
+    const text = this.#source
+      .slice(this.#start, this.#current)
+      .replaceAll("_", "");
+
+    if (this.#match("n")) {
+      if (!isInteger) {
+        this.#reporter.error(this.#line, "BigInt literal must be an integer.");
+        this.#addToken("NUMBER", 0n);
+        return;
+      }
+      this.#addToken("NUMBER", BigInt(text));
+      return;
+    }
+
+    this.#addToken("NUMBER", Number(text));
+  }
+
+  /**
+   * Parses the digits of an integer literal with a radix prefix (e.g. `0x`).
+   * The prefix must already be consumed.
+   * @param {Radix} radix
+   */
+  #radixNumber({ base, name, isValidDigit }) {
+    const digitsStart = this.#current;
+    this.#digits(isValidDigit);
+    const digitsEnd = this.#current;
+    const isBigInt = this.#match("n");
+
+    // Consume the rest of the literal, so that a digit that is invalid for the
+    // base is reported instead of starting a new token.
+    if (isAlphaNumeric(this.#peek())) {
+      const invalid = this.#peek();
+      while (isAlphaNumeric(this.#peek())) {
+        this.#advance();
+      }
+      this.#reporter.error(
+        this.#line,
+        `Invalid digit '${invalid}' in ${name} literal.`,
+      );
+    } else if (digitsStart === digitsEnd) {
+      const prefix = this.#source.slice(this.#start, digitsStart);
+      this.#reporter.error(this.#line, `Expected digits after '${prefix}'.`);
+    }
+
+    const digits = this.#source
+      .slice(digitsStart, digitsEnd)
+      .replaceAll("_", "");
+    if (isBigInt) {
+      // BigInt() understands the same prefixes as Lox (e.g. `0x`).
+      const prefix = this.#source.slice(this.#start, digitsStart);
+      this.#addToken("NUMBER", digits ? BigInt(prefix + digits) : 0n);
+      return;
+    }
+    this.#addToken("NUMBER", Number.parseInt(digits, base));
+  }
+
+  /**
+   * Consumes a sequence of digits, which may be separated by underscores.
+   * Reports an error if an underscore is not between two digits.
+   * @param {(c: string | null) => boolean} isValidDigit
+   */
+  #digits(isValidDigit) {
+    let misplacedSeparator = false;
+    while (isValidDigit(this.#peek()) || this.#peek() === "_") {
+      if (
+        this.#advance() === "_" &&
+        !(
+          isValidDigit(this.#source[this.#current - 2]) &&
+          isValidDigit(this.#peek())
+        )
+      ) {
+        misplacedSeparator = true;
+      }
+    }
+
+    if (misplacedSeparator) {
+      this.#reporter.error(
+        this.#line,
+        "Numeric separator '_' must be between digits.",
+      );
+    }
   }
 
   /**
@@ -268,7 +781,9 @@ export class Scanner {
     }
 
     const text = this.#source.slice(this.#start, this.#current);
-    const type = KEYWORDS[text] ?? "IDENTIFIER";
+    // Check own properties only, so that names like `toString` are not
+    // mistaken for keywords.
+    const type = Object.hasOwn(KEYWORDS, text) ? KEYWORDS[text] : "IDENTIFIER";
     this.#addToken(type);
   }
 }
@@ -290,6 +805,14 @@ function isDigit(c) {
   return 48 <= code && code <= 57;
 }
 
+/**
+ * @param {string | null} c
+ * @returns {boolean}
+ */
+function isHexDigit(c) {
+  return isDigit(c) || (c !== null && /^[a-f]$/i.test(c));
+}
+
 /**
  * @param {string | null} c
  * @returns {boolean}
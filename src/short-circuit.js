@@ -0,0 +1,5 @@
+/**
+ * Helper exception class that represents an optional access (`?.`) on `nil`
+ * unwinding the stack up to the enclosing optional chain.
+ */
+export class ShortCircuitSignal extends Error {}
@@ -1,5 +1,7 @@
 /**
- * @import { Expr } from './expression.js'
+ * @import { DestructuringPattern } from './destructuring.js';
+ * @import { Expr, Variable } from './expression.js'
+ * @import { Pattern } from './pattern.js';
  * @import { Token } from './token.js';
  */
 
@@ -7,14 +9,24 @@
  * @template R Value returned by the visitor methods.
  * @typedef {object} StmtVisitor
  * @property {(expr: Block) => R} visitBlock Visits the block statement
+ * @property {(expr: Break) => R} visitBreak Visits the break statement
  * @property {(expr: Class) => R} visitClass Visits the block statement
+ * @property {(expr: Continue) => R} visitContinue Visits the continue statement
+ * @property {(expr: DestructuringVar) => R} visitDestructuringVar Visits the destructuring variable declaration
  * @property {(expr: Expression) => R} visitExpression Visits the expression statement
+ * @property {(expr: ForIn) => R} visitForIn Visits the for-in statement
  * @property {(expr: FunctionDecl) => R} visitFunctionDecl Visits the function declaration statement
  * @property {(expr: If) => R} visitIf Visits the if-statement
+ * @property {(expr: Import) => R} visitImport Visits the import statement
+ * @property {(expr: Match) => R} visitMatch Visits the match statement
  * @property {(expr: Print) => R} visitPrint Visits the print statement
  * @property {(expr: Return) => R} visitReturn Visits the return statement
+ * @property {(expr: Throw) => R} visitThrow Visits the throw statement
+ * @property {(expr: Trait) => R} visitTrait Visits the trait declaration statement
+ * @property {(expr: Try) => R} visitTry Visits the try-statement
  * @property {(expr: Var) => R} visitVar Visits the variable declaration statement
  * @property {(expr: While) => R} visitWhile Visits the while-statement
+ * @property {(expr: Yield) => R} visitYield Visits the yield statement
  */
 
 /**
@@ -56,20 +68,75 @@ export class Block extends Stmt {
   }
 }
 
+/**
+ * AST node for the break statement.
+ */
+export class Break extends Stmt {
+  /**
+   * @param {Token} keyword
+   * @param {Token=} label Label of the loop to break out of, or `undefined` to
+   *    break out of the innermost loop
+   */
+  constructor(keyword, label) {
+    super();
+    /** @readonly */
+    this.keyword = keyword;
+    /**
+     * Label of the loop to break out of, or `undefined` to break out of the
+     * innermost loop
+     * @readonly
+     */
+    this.label = label;
+  }
+
+  /**
+   * @override
+   * @template R
+   * @param {StmtVisitor<R>} visitor
+   * @returns {R}
+   */
+  accept(visitor) {
+    return visitor.visitBreak(this);
+  }
+}
+
 /**
  * AST node for the class declaration statement.
  */
 export class Class extends Stmt {
   /**
    * @param {Token} name
+   * @param {Variable | undefined} superclass Expression that evaluates to the
+   *    superclass, or `undefined` if the class does not inherit from another
+   * @param {readonly Variable[]} traits Expressions that evaluate to the traits
+   *    listed in the `with` clause
    * @param {readonly FunctionDecl[]} methods
+   * @param {readonly FunctionDecl[]} staticMethods Methods declared with the
+   *    `class` keyword, which are called on the class itself
    */
-  constructor(name, methods) {
+  constructor(name, superclass, traits, methods, staticMethods) {
     super();
     /** @readonly */
     this.name = name;
+    /**
+     * Expression that evaluates to the superclass, or `undefined` if the class
+     * does not inherit from another
+     * @readonly
+     */
+    this.superclass = superclass;
+    /**
+     * Expressions that evaluate to the traits listed in the `with` clause
+     * @readonly
+     */
+    this.traits = traits;
     /** @readonly */
     this.methods = methods;
+    /**
+     * Methods declared with the `class` keyword, which are called on the class
+     * itself
+     * @readonly
+     */
+    this.staticMethods = staticMethods;
   }
 
   /**
@@ -83,6 +150,72 @@ export class Class extends Stmt {
   }
 }
 
+/**
+ * AST node for the continue statement.
+ */
+export class Continue extends Stmt {
+  /**
+   * @param {Token} keyword
+   * @param {Token=} label Label of the loop to continue, or `undefined` to
+   *    continue the innermost loop
+   */
+  constructor(keyword, label) {
+    super();
+    /** @readonly */
+    this.keyword = keyword;
+    /**
+     * Label of the loop to continue, or `undefined` to continue the innermost
+     * loop
+     * @readonly
+     */
+    this.label = label;
+  }
+
+  /**
+   * @override
+   * @template R
+   * @param {StmtVisitor<R>} visitor
+   * @returns {R}
+   */
+  accept(visitor) {
+    return visitor.visitContinue(this);
+  }
+}
+
+/**
+ * AST node for the variable declaration with a destructuring pattern
+ * (e.g. `var [a, b] = pair;`).
+ */
+export class DestructuringVar extends Stmt {
+  /**
+   * @param {DestructuringPattern} pattern
+   * @param {Expr} initializer
+   * @param {boolean} constant Whether the variables can't be reassigned
+   */
+  constructor(pattern, initializer, constant = false) {
+    super();
+    /** @readonly */
+    this.pattern = pattern;
+    /** @readonly */
+    this.initializer = initializer;
+    /**
+     * Whether the variables can't be reassigned
+     * @readonly
+     */
+    this.constant = constant;
+  }
+
+  /**
+   * @override
+   * @template R
+   * @param {StmtVisitor<R>} visitor
+   * @returns {R}
+   */
+  accept(visitor) {
+    return visitor.visitDestructuringVar(this);
+  }
+}
+
 /**
  * AST node for the if-statement.
  */
@@ -137,23 +270,76 @@ export class Expression extends Stmt {
   }
 }
 
+/**
+ * AST node for the for-in statement (`for (var x in iterable) body`).
+ */
+export class ForIn extends Stmt {
+  /**
+   * @param {Token} name Name of the loop variable
+   * @param {Token} keyword The `in` keyword, used to report errors
+   * @param {Expr} iterable
+   * @param {Stmt} body
+   * @param {Token=} label Label that break/continue statements can use to
+   *    refer to this loop
+   */
+  constructor(name, keyword, iterable, body, label) {
+    super();
+    /** @readonly */
+    this.name = name;
+    /** @readonly */
+    this.keyword = keyword;
+    /** @readonly */
+    this.iterable = iterable;
+    /** @readonly */
+    this.body = body;
+    /**
+     * Label that break/continue statements can use to refer to this loop
+     * @readonly
+     */
+    this.label = label;
+  }
+
+  /**
+   * @override
+   * @template R
+   * @param {StmtVisitor<R>} visitor
+   * @returns {R}
+   */
+  accept(visitor) {
+    return visitor.visitForIn(this);
+  }
+}
+
 /**
  * AST node for the function declaration statement.
  */
 export class FunctionDecl extends Stmt {
   /**
    * @param {Token} name
-   * @param {readonly Token[]} params
+   * @param {readonly Parameter[]} params
+   * @param {Token | undefined} rest Rest parameter, which receives the extra
+   *    arguments as a list
    * @param {readonly Stmt[]} body
+   * @param {boolean} generator Whether the function is a generator (`fun*`)
    */
-  constructor(name, params, body) {
+  constructor(name, params, rest, body, generator = false) {
     super();
     /** @readonly */
     this.name = name;
     /** @readonly */
     this.params = params;
+    /**
+     * Rest parameter, which receives the extra arguments as a list
+     * @readonly
+     */
+    this.rest = rest;
     /** @readonly */
     this.body = body;
+    /**
+     * Whether the function is a generator (`fun*`)
+     * @readonly
+     */
+    this.generator = generator;
   }
 
   /**
@@ -167,6 +353,133 @@ export class FunctionDecl extends Stmt {
   }
 }
 
+/**
+ * A named parameter of a function declaration or an anonymous function.
+ */
+export class Parameter {
+  /**
+   * @param {Token} name
+   * @param {Expr | undefined} defaultValue Expression evaluated in the
+   *    function's environment when the argument is omitted
+   */
+  constructor(name, defaultValue) {
+    /** @readonly */
+    this.name = name;
+    /**
+     * Expression evaluated in the function's environment when the argument is
+     * omitted
+     * @readonly
+     */
+    this.defaultValue = defaultValue;
+  }
+}
+
+/**
+ * AST node for the import statement.
+ */
+export class Import extends Stmt {
+  /**
+   * @param {Token} keyword
+   * @param {Token} path String token containing the path of the module,
+   *    relative to the importing file
+   * @param {readonly Token[] | undefined} names Names to import from the
+   *    module, or `undefined` to import all names defined by the module
+   */
+  constructor(keyword, path, names) {
+    super();
+    /** @readonly */
+    this.keyword = keyword;
+    /**
+     * String token containing the path of the module, relative to the
+     * importing file
+     * @readonly
+     */
+    this.path = path;
+    /**
+     * Names to import from the module, or `undefined` to import all names
+     * defined by the module
+     * @readonly
+     */
+    this.names = names;
+  }
+
+  /**
+   * @override
+   * @template R
+   * @param {StmtVisitor<R>} visitor
+   * @returns {R}
+   */
+  accept(visitor) {
+    return visitor.visitImport(this);
+  }
+}
+
+/**
+ * AST node for the match statement.
+ */
+export class Match extends Stmt {
+  /**
+   * @param {Token} keyword
+   * @param {Expr} subject Expression whose value is matched against the cases
+   * @param {readonly MatchCase[]} cases
+   */
+  constructor(keyword, subject, cases) {
+    super();
+    /** @readonly */
+    this.keyword = keyword;
+    /**
+     * Expression whose value is matched against the cases
+     * @readonly
+     */
+    this.subject = subject;
+    /** @readonly */
+    this.cases = cases;
+  }
+
+  /**
+   * @override
+   * @template R
+   * @param {StmtVisitor<R>} visitor
+   * @returns {R}
+   */
+  accept(visitor) {
+    return visitor.visitMatch(this);
+  }
+}
+
+/**
+ * A single case of a match statement.
+ */
+export class MatchCase {
+  /**
+   * @param {Token} keyword The `case` keyword, used to report errors
+   * @param {readonly Pattern[]} patterns Alternative patterns. The case is
+   *    selected if any of them matches.
+   * @param {Expr | undefined} guard Condition that must also be true for the
+   *    case to be selected
+   * @param {Stmt} body
+   */
+  constructor(keyword, patterns, guard, body) {
+    /**
+     * The `case` keyword, used to report errors
+     * @readonly
+     */
+    this.keyword = keyword;
+    /**
+     * Alternative patterns. The case is selected if any of them matches.
+     * @readonly
+     */
+    this.patterns = patterns;
+    /**
+     * Condition that must also be true for the case to be selected
+     * @readonly
+     */
+    this.guard = guard;
+    /** @readonly */
+    this.body = body;
+  }
+}
+
 /**
  * AST node for the print statement.
  */
@@ -219,19 +532,120 @@ export class Return extends Stmt {
 }
 
 /**
- * AST node for the variable declaration.
+ * AST node for the throw statement.
+ */
+export class Throw extends Stmt {
+  /**
+   * @param {Token} keyword
+   * @param {Expr} value
+   */
+  constructor(keyword, value) {
+    super();
+    /** @readonly */
+    this.keyword = keyword;
+    /** @readonly */
+    this.value = value;
+  }
+
+  /**
+   * @override
+   * @template R
+   * @param {StmtVisitor<R>} visitor
+   * @returns {R}
+   */
+  accept(visitor) {
+    return visitor.visitThrow(this);
+  }
+}
+
+/**
+ * AST node for the trait declaration statement.
+ */
+export class Trait extends Stmt {
+  /**
+   * @param {Token} name
+   * @param {readonly FunctionDecl[]} methods
+   */
+  constructor(name, methods) {
+    super();
+    /** @readonly */
+    this.name = name;
+    /** @readonly */
+    this.methods = methods;
+  }
+
+  /**
+   * @override
+   * @template R
+   * @param {StmtVisitor<R>} visitor
+   * @returns {R}
+   */
+  accept(visitor) {
+    return visitor.visitTrait(this);
+  }
+}
+
+/**
+ * AST node for the try-statement.
+ * At least one of {@linkcode catchBlock} and {@linkcode finallyBlock} is
+ * present.
+ */
+export class Try extends Stmt {
+  /**
+   * @param {readonly Stmt[]} tryBlock
+   * @param {Token | undefined} catchParam Variable that receives the caught
+   *    error, or `undefined` if the catch clause does not declare one
+   * @param {readonly Stmt[] | undefined} catchBlock
+   * @param {readonly Stmt[] | undefined} finallyBlock
+   */
+  constructor(tryBlock, catchParam, catchBlock, finallyBlock) {
+    super();
+    /** @readonly */
+    this.tryBlock = tryBlock;
+    /**
+     * Variable that receives the caught error, or `undefined` if the catch
+     * clause does not declare one
+     * @readonly
+     */
+    this.catchParam = catchParam;
+    /** @readonly */
+    this.catchBlock = catchBlock;
+    /** @readonly */
+    this.finallyBlock = finallyBlock;
+  }
+
+  /**
+   * @override
+   * @template R
+   * @param {StmtVisitor<R>} visitor
+   * @returns {R}
+   */
+  accept(visitor) {
+    return visitor.visitTry(this);
+  }
+}
+
+/**
+ * AST node for the variable declaration (`var`) and the constant declaration
+ * (`const`).
  */
 export class Var extends Stmt {
   /**
    * @param {Token} name
    * @param {Expr=} initializer
+   * @param {boolean} constant Whether the variable can't be reassigned
    */
-  constructor(name, initializer) {
+  constructor(name, initializer, constant = false) {
     super();
     /** @readonly */
     this.name = name;
     /** @readonly */
     this.initializer = initializer;
+    /**
+     * Whether the variable can't be reassigned
+     * @readonly
+     */
+    this.constant = constant;
   }
 
   /**
@@ -252,13 +666,29 @@ export class While extends Stmt {
   /**
    * @param {Expr} condition
    * @param {Stmt} body
+   * @param {Expr=} increment Expression evaluated after each iteration, even
+   *    when the iteration is cut short by a continue statement. This is used
+   *    to desugar for-loops into while-loops.
+   * @param {Token=} label Label that break/continue statements can use to
+   *    refer to this loop
    */
-  constructor(condition, body) {
+  constructor(condition, body, increment, label) {
     super();
     /** @readonly */
     this.condition = condition;
     /** @readonly */
     this.body = body;
+    /**
+     * Expression evaluated after each iteration, even when the iteration is
+     * cut short by a continue statement
+     * @readonly
+     */
+    this.increment = increment;
+    /**
+     * Label that break/continue statements can use to refer to this loop
+     * @readonly
+     */
+    this.label = label;
   }
 
   /**
@@ -271,3 +701,33 @@ export class While extends Stmt {
     return visitor.visitWhile(this);
   }
 }
+
+/**
+ * AST node for the yield statement, which suspends a generator function.
+ */
+export class Yield extends Stmt {
+  /**
+   * @param {Token} keyword
+   * @param {Expr | undefined} value Value to produce, or `undefined` for `nil`
+   */
+  constructor(keyword, value) {
+    super();
+    /** @readonly */
+    this.keyword = keyword;
+    /**
+     * Value to produce, or `undefined` for `nil`
+     * @readonly
+     */
+    this.value = value;
+  }
+
+  /**
+   * @override
+   * @template R
+   * @param {StmtVisitor<R>} visitor
+   * @returns {R}
+   */
+  accept(visitor) {
+    return visitor.visitYield(this);
+  }
+}
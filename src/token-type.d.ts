@@ -4,44 +4,83 @@ export type TokenType =
   | "RIGHT_PAREN"
   | "LEFT_BRACE"
   | "RIGHT_BRACE"
+  | "LEFT_BRACKET"
+  | "RIGHT_BRACKET"
   | "COMMA"
   | "DOT"
+  | "ELLIPSIS"
   | "MINUS"
+  | "PERCENT"
   | "PLUS"
   | "SEMICOLON"
   | "SLASH"
   | "STAR"
   | "QUESTION"
   | "COLON"
+  | "AMPERSAND"
+  | "PIPE"
+  | "CARET"
+  | "TILDE"
   // One or two character tokens.
   | "BANG"
   | "BANG_EQUAL"
   | "EQUAL"
   | "EQUAL_EQUAL"
+  | "ARROW"
   | "GREATER"
   | "GREATER_EQUAL"
   | "LESS"
   | "LESS_EQUAL"
+  | "LESS_LESS"
+  | "GREATER_GREATER"
+  | "STAR_STAR"
+  | "TILDE_SLASH"
+  | "MINUS_EQUAL"
+  | "MINUS_MINUS"
+  | "PERCENT_EQUAL"
+  | "PLUS_EQUAL"
+  | "PLUS_PLUS"
+  | "SLASH_EQUAL"
+  | "STAR_EQUAL"
+  | "DOT_DOT"
+  | "QUESTION_DOT"
+  | "QUESTION_QUESTION"
   // Literals.
   | "IDENTIFIER"
   | "STRING"
+  // String fragment that precedes an interpolated expression (`${...}`).
+  | "INTERPOLATION"
   | "NUMBER"
   // Keywords.
   | "AND"
+  | "BREAK"
+  | "CASE"
+  | "CATCH"
   | "CLASS"
+  | "CONST"
+  | "CONTINUE"
   | "ELSE"
   | "FALSE"
+  | "FINALLY"
   | "FUN"
   | "FOR"
   | "IF"
+  | "IMPORT"
+  | "IN"
+  | "MATCH"
   | "NIL"
   | "OR"
   | "PRINT"
   | "RETURN"
   | "SUPER"
   | "THIS"
+  | "THROW"
+  | "TRAIT"
   | "TRUE"
+  | "TRY"
   | "VAR"
   | "WHILE"
+  | "WITH"
+  | "YIELD"
   // Misc.
   | "EOF";
@@ -4,10 +4,12 @@ export class Token {
   /**
    * @param {TokenType} type
    * @param {string} lexeme
-   * @param {number | string | null} literal
+   * @param {bigint | number | string | null} literal
    * @param {number} line
+   * @param {string=} filename Name of the file that contains the token, or
+   *    `undefined` for the main program. This is used for imported modules.
    */
-  constructor(type, lexeme, literal, line) {
+  constructor(type, lexeme, literal, line, filename) {
     /** @readonly */
     this.type = type;
     /** @readonly */
@@ -16,6 +18,8 @@ export class Token {
     this.literal = literal;
     /** @readonly */
     this.line = line;
+    /** @readonly */
+    this.filename = filename;
   }
 
   toString() {
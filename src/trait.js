@@ -0,0 +1,22 @@
+/** @import { LoxFunction } from "./function.js"; */
+
+/**
+ * Represents the runtime value of a Lox trait, a set of methods that classes
+ * can include with a `with` clause.
+ */
+export class LoxTrait {
+  /**
+   * @param {string} name
+   * @param {ReadonlyMap<string, LoxFunction>} methods
+   */
+  constructor(name, methods) {
+    /** @readonly */
+    this.name = name;
+    /** @readonly */
+    this.methods = methods;
+  }
+
+  toString() {
+    return `<trait ${this.name}>`;
+  }
+}
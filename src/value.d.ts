@@ -1,9 +1,20 @@
 import type { Callable } from "./callable.js";
+import type { LoxGenerator } from "./generator.js";
 import type { LoxInstance } from "./instance.js";
+import type { LoxList } from "./list.js";
+import type { LoxMap } from "./map.js";
+import type { LoxRange } from "./range.js";
+import type { LoxTrait } from "./trait.js";
 
 export type LoxValue =
   | Callable
+  | LoxGenerator
   | LoxInstance
+  | LoxList
+  | LoxMap
+  | LoxRange
+  | LoxTrait
+  | bigint
   | boolean
   | number
   | string